@@ -0,0 +1,188 @@
+/**
+ * @file amfi.js
+ * @description Parser and provider for AMFI's daily NAVAll.txt - the official, semicolon-delimited
+ * list of every open scheme's code, ISINs, name and latest NAV.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import fs from "fs/promises";
+import fetch from "node-fetch";
+import { nextNavRefresh } from "./cache.js";
+import { toDate, toISODate } from "./transactions.js";
+
+export const AMFI_NAVALL_URL = "https://portal.amfiindia.com/spages/NAVAll.txt";
+
+// After a failed download, wait this long before trying AMFI again
+const RETRY_AFTER_MS = 5 * 60 * 1000;
+
+const HEADER_PREFIX = /^Scheme Code\s*;/i;
+const ISIN_RE = /^[A-Z]{2}[A-Z0-9]{9}\d$/;
+
+/**
+ * Parses NAVAll.txt. Besides data rows the file has a header row, blank lines,
+ * section lines such as "Open Ended Schemes(Equity Scheme - Large Cap Fund)" and
+ * AMC name lines; the last two are carried onto the rows below them.
+ *
+ * Row format: Scheme Code;ISIN Div Payout/ISIN Growth;ISIN Div Reinvestment;Scheme Name;Net Asset Value;Date
+ *
+ * @param {string} text - Contents of NAVAll.txt.
+ * @returns {object[]} [{ scheme_code, isin_growth, isin_div_reinvestment, scheme_name, nav, date,
+ *   fund_house, scheme_type, scheme_category }] - `nav` is a string as published ("N.A." rows
+ *   are kept with nav null), `date` is DD-MM-YYYY like mfapi.
+ */
+export function parseNAVAll(text) {
+  const rows = [];
+  let schemeType = null;
+  let schemeCategory = null;
+  let fundHouse = null;
+
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || HEADER_PREFIX.test(line)) continue;
+
+    if (!line.includes(";")) {
+      // "Open Ended Schemes(Debt Scheme - Banking and PSU Fund)" or an AMC name
+      const section = line.match(/^(.*?Schemes?)\s*\((.*)\)\s*$/i);
+      if (section) {
+        schemeType = section[1].trim();
+        schemeCategory = section[2].trim();
+        fundHouse = null;
+      } else {
+        fundHouse = line;
+      }
+      continue;
+    }
+
+    const cols = line.split(";").map((c) => c.trim());
+    if (cols.length < 6 || !/^\d+$/.test(cols[0])) continue;
+
+    const [code, isinGrowth, isinReinvest, name, nav, date] = cols;
+    const navValue = parseFloat(nav);
+    const iso = toISODate(toDate(date));
+
+    rows.push({
+      scheme_code: code,
+      isin_growth: ISIN_RE.test(isinGrowth) ? isinGrowth : null,
+      isin_div_reinvestment: ISIN_RE.test(isinReinvest) ? isinReinvest : null,
+      scheme_name: name,
+      nav: navValue > 0 ? nav : null,
+      date: iso ? iso.split("-").reverse().join("-") : null,
+      fund_house: fundHouse,
+      scheme_type: schemeType,
+      scheme_category: schemeCategory,
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Lookup tables over parsed NAVAll rows.
+ *
+ * @param {object[]} rows - Output of parseNAVAll().
+ * @returns {{ byCode: Map<string, object>, byIsin: Map<string, object> }}
+ */
+export function indexNAVAll(rows) {
+  const byCode = new Map();
+  const byIsin = new Map();
+  for (const row of rows) {
+    byCode.set(row.scheme_code, row);
+    if (row.isin_growth) byIsin.set(row.isin_growth, row);
+    if (row.isin_div_reinvestment) byIsin.set(row.isin_div_reinvestment, row);
+  }
+  return { byCode, byIsin };
+}
+
+/**
+ * NAV provider backed by NAVAll.txt. The file is downloaded (or read from disk)
+ * lazily and reused until the next NAV publication.
+ *
+ * @param {object} [options]
+ * @param {string} [options.file] - Read this saved NAVAll.txt instead of downloading
+ *   (defaults to AMFI_NAVALL_FILE). Handy for fixtures and offline runs.
+ * @param {string} [options.url=AMFI_NAVALL_URL]
+ */
+export function createAmfiProvider(options = {}) {
+  const file = options.file ?? process.env.AMFI_NAVALL_FILE;
+  const url = options.url || AMFI_NAVALL_URL;
+
+  let index = null;
+  let loadedAt = null;
+  let refreshAt = 0;
+  let loading = null;
+
+  async function readSource() {
+    if (file) return fs.readFile(file, "utf8");
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP error! ${response.status}`);
+    return response.text();
+  }
+
+  async function load() {
+    try {
+      const rows = parseNAVAll(await readSource());
+      if (rows.length === 0) throw new Error("NAVAll.txt has no scheme rows");
+      index = indexNAVAll(rows);
+      loadedAt = new Date();
+      refreshAt = nextNavRefresh(loadedAt).getTime();
+      console.log(`📄 Loaded ${rows.length} schemes from AMFI NAVAll.txt`);
+    } catch (err) {
+      // Keep serving the previous file, if any, and back off before retrying
+      console.error("Error loading AMFI NAVAll.txt:", err.message);
+      refreshAt = Date.now() + RETRY_AFTER_MS;
+    }
+    return index;
+  }
+
+  async function getIndex() {
+    if (index && Date.now() < refreshAt) return index;
+    if (!index && Date.now() < refreshAt) return null;
+    loading ??= load().finally(() => (loading = null));
+    return loading;
+  }
+
+  /**
+   * NAVAll row for a scheme code or ISIN.
+   *
+   * @param {string|number} key
+   * @returns {Promise<object|null>}
+   */
+  async function getScheme(key) {
+    const idx = await getIndex();
+    if (!idx) return null;
+    const k = String(key).trim();
+    return idx.byCode.get(k) || idx.byIsin.get(k.toUpperCase()) || null;
+  }
+
+  /**
+   * Latest NAV in the shape of mfapi's /latest response, so callers can swap sources.
+   *
+   * @param {string|number} key - Scheme code or ISIN.
+   * @returns {Promise<object|null>} { meta, data: [{ date, nav }] }
+   */
+  async function getLatestNAV(key) {
+    const row = await getScheme(key);
+    if (!row || !row.nav || !row.date) return null;
+    return {
+      meta: {
+        fund_house: row.fund_house,
+        scheme_type: row.scheme_type,
+        scheme_category: row.scheme_category,
+        scheme_code: Number(row.scheme_code),
+        scheme_name: row.scheme_name,
+        isin_growth: row.isin_growth,
+        isin_div_reinvestment: row.isin_div_reinvestment,
+      },
+      data: [{ date: row.date, nav: row.nav }],
+    };
+  }
+
+  return {
+    getIndex,
+    getScheme,
+    getLatestNAV,
+    get loadedAt() {
+      return loadedAt;
+    },
+  };
+}
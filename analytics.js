@@ -0,0 +1,341 @@
+/**
+ * @file analytics.js
+ * @description Portfolio analytics on parsed CAS data - XIRR, CAGR, absolute return and holding period
+ * at scheme, folio, AMC and portfolio level.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import {
+  buildFifoLots,
+  daysBetween,
+  isReversal,
+  round,
+  toDate,
+  toISODate,
+} from "./transactions.js";
+import { computeDividendIncome } from "./dividends.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Annualised internal rate of return for irregular cashflows.
+ * Newton-Raphson from a 10% guess, falling back to bisection when it does not converge.
+ *
+ * @param {{ date: Date, amount: number }[]} cashflows - Outflows negative, inflows positive.
+ * @returns {number|null} Rate as a fraction (0.12 = 12%), or null if undefined
+ *   (no sign change, or a single dated flow).
+ */
+export function xirr(cashflows) {
+  const flows = cashflows.filter((c) => c.amount && c.date);
+  if (flows.length < 2) return null;
+  if (!flows.some((c) => c.amount > 0) || !flows.some((c) => c.amount < 0)) {
+    return null;
+  }
+
+  const t0 = Math.min(...flows.map((c) => c.date.getTime()));
+  const years = flows.map((c) => (c.date.getTime() - t0) / DAY_MS / 365);
+  if (Math.max(...years) === 0) return null;
+
+  const npv = (rate) =>
+    flows.reduce((sum, c, i) => sum + c.amount / (1 + rate) ** years[i], 0);
+  const dnpv = (rate) =>
+    flows.reduce(
+      (sum, c, i) => sum - (years[i] * c.amount) / (1 + rate) ** (years[i] + 1),
+      0,
+    );
+
+  let rate = 0.1;
+  for (let i = 0; i < 100; i++) {
+    const value = npv(rate);
+    const derivative = dnpv(rate);
+    if (!isFinite(value) || !isFinite(derivative) || derivative === 0) break;
+
+    const next = rate - value / derivative;
+    if (next <= -1) break;
+    if (Math.abs(next - rate) < 1e-9) return next;
+    rate = next;
+  }
+
+  // Bisection between -99.99% and +10000% p.a.
+  let low = -0.9999;
+  let high = 100;
+  let npvLow = npv(low);
+  if (npvLow * npv(high) > 0) return null;
+
+  for (let i = 0; i < 300; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (Math.abs(npvMid) < 1e-7) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Computes returns for every scheme in a parsed CAS and rolls them up by folio,
+ * AMC and the whole portfolio. Roll-ups recompute XIRR from the pooled cashflows
+ * rather than averaging child XIRRs. A switch paired within a folio (`switch_pair_id`)
+ * is a flow of each scheme, but moves no money in or out of the folio, AMC or portfolio.
+ *
+ * @param {object} casData - Output of parseCAS().
+ * @param {object} [options]
+ * @param {object} [options.navs] - Latest NAVs keyed by ISIN, e.g. the `data` object of
+ *   /api/mf-stats ({ [isin]: { latest_nav, latest_nav_date } }). Overrides the statement valuation.
+ * @param {string} [options.asOf] - Valuation date; defaults to the newest NAV date, then the statement end.
+ * @returns {object} { as_of, portfolio, amcs, folios, dividends } - `dividends` is the IDCW
+ *   income and TDS per financial year (see computeDividendIncome()).
+ */
+export function computePortfolioReturns(casData, options = {}) {
+  const navs = options.navs || {};
+  const periodFrom = casData?.statement_period?.from || null;
+  const asOf = resolveAsOf(casData, navs, options.asOf);
+
+  const allSchemes = [];
+  const byAMC = new Map();
+
+  const folios = normaliseFolios(casData).map((folio) => {
+    const schemes = folio.schemes.map((scheme) =>
+      analyseScheme(scheme, { navs, asOf, periodFrom }),
+    );
+
+    allSchemes.push(...schemes);
+    const amc = folio.amc || "Unknown AMC";
+    if (!byAMC.has(amc)) byAMC.set(amc, []);
+    byAMC.get(amc).push(...schemes);
+
+    return {
+      folio: folio.folio,
+      amc: folio.amc,
+      ...summarise(schemes),
+      schemes: schemes.map((record) => ({
+        scheme: record.scheme,
+        isin: record.isin,
+        units: record.units,
+        nav: record.nav,
+        ...summarise([record]),
+      })),
+    };
+  });
+
+  return {
+    as_of: toISODate(asOf),
+    portfolio: summarise(allSchemes),
+    amcs: [...byAMC.entries()].map(([amc, schemes]) => ({
+      amc,
+      ...summarise(schemes),
+    })),
+    folios,
+    dividends: computeDividendIncome(casData),
+  };
+}
+
+function resolveAsOf(casData, navs, explicit) {
+  if (explicit) return toDate(explicit);
+
+  const navDates = Object.values(navs)
+    .map((n) => toDate(n?.latest_nav_date))
+    .filter(Boolean);
+  if (navDates.length > 0) {
+    return new Date(Math.max(...navDates.map((d) => d.getTime())));
+  }
+
+  return (
+    toDate(casData?.statement_period?.to) ||
+    toDate(new Date().toISOString().substring(0, 10))
+  );
+}
+
+// Summary CAS folios are flat holding rows; lift them into the detailed shape.
+function normaliseFolios(casData) {
+  const folios = casData?.folios || [];
+  if (casData?.cas_type !== "SUMMARY") return folios;
+
+  return folios.map((f) => ({
+    folio: f.folio,
+    amc: f.amc,
+    schemes: [
+      {
+        scheme: f.scheme,
+        isin: f.isin,
+        open: f.units,
+        close: f.units,
+        valuation: {
+          date: toISODate(toDate(f.nav_date)),
+          nav: f.nav,
+          value: f.current_value,
+          cost: f.cost,
+        },
+        transactions: [],
+      },
+    ],
+  }));
+}
+
+function analyseScheme(scheme, { navs, asOf, periodFrom }) {
+  const transactions = scheme.transactions || [];
+  const units = scheme.close || 0;
+
+  // Latest NAV from the caller wins over the statement valuation
+  const navInfo = navs[scheme.isin];
+  const latestNav = parseFloat(navInfo?.latest_nav);
+  const nav = latestNav > 0 ? latestNav : scheme.valuation?.nav || 0;
+  const currentValue =
+    latestNav > 0 || !scheme.valuation?.value
+      ? units * nav
+      : scheme.valuation.value;
+
+  // Units carried in from before the statement have no purchase history.
+  // Price them at the first NAV we see so the numbers stay usable, and flag it.
+  const incomplete = (scheme.open || 0) > 0;
+  let opening = null;
+  if (incomplete) {
+    const firstNav =
+      transactions.find((t) => t.nav > 0)?.nav || scheme.valuation?.nav || 0;
+    opening = {
+      units: scheme.open,
+      cost:
+        transactions.length === 0 && scheme.valuation?.cost
+          ? scheme.valuation.cost
+          : scheme.open * firstNav,
+      date: periodFrom,
+    };
+  }
+
+  const cashflows = [];
+  let invested = 0;
+  let withdrawn = 0;
+
+  if (opening && opening.cost > 0) {
+    invested += opening.cost;
+    if (opening.date) {
+      cashflows.push({ date: toDate(opening.date), amount: -opening.cost });
+    }
+  }
+
+  for (const tx of transactions) {
+    const amount = tx.amount || 0;
+    const date = toDate(tx.date);
+    if (!amount || !date) continue;
+
+    let flow = 0;
+    if (tx.type === "PURCHASE" || tx.type === "SWITCH_IN") {
+      flow = -amount;
+    } else if (tx.type === "STAMP_DUTY_TAX" || tx.type === "STT_TAX") {
+      flow = -amount;
+    } else if (tx.type === "REDEMPTION" || tx.type === "SWITCH_OUT") {
+      flow = amount;
+    } else if (tx.type === "DIVIDEND" && !(tx.units > 0)) {
+      // Payouts are cash back; reinvestments stay in the fund
+      flow = amount;
+    }
+
+    if (flow < 0) {
+      invested -= flow;
+    } else if (isReversal(tx)) {
+      // A reversed purchase hands back money that was counted as invested
+      invested -= flow;
+    } else {
+      withdrawn += flow;
+    }
+
+    if (flow !== 0) {
+      // Switch legs are tagged so roll-ups holding both legs can net them out
+      cashflows.push(
+        tx.switch_pair_id
+          ? { date, amount: flow, switch_pair_id: tx.switch_pair_id }
+          : { date, amount: flow },
+      );
+    }
+  }
+
+  if (currentValue > 0) cashflows.push({ date: asOf, amount: currentValue });
+
+  const { lots } = buildFifoLots(transactions, opening);
+  const heldCost = lots.reduce((s, l) => s + l.cost, 0);
+  const weightedDays = lots.reduce((s, l) => {
+    const d = toDate(l.date);
+    return d ? s + l.cost * daysBetween(d, asOf) : s;
+  }, 0);
+  const datedCost = lots.reduce((s, l) => (toDate(l.date) ? s + l.cost : s), 0);
+
+  return {
+    scheme: scheme.scheme,
+    isin: scheme.isin,
+    units,
+    nav,
+    incomplete_history: incomplete,
+    _cashflows: cashflows,
+    _heldCost: heldCost,
+    _weightedDays: weightedDays,
+    _datedCost: datedCost,
+    invested,
+    withdrawn,
+    current_value: currentValue,
+  };
+}
+
+// Switch pairs with both legs among the cashflows: money moved between schemes
+// inside the group, neither invested in nor withdrawn from it
+function internalSwitches(cashflows) {
+  const legs = new Map();
+  for (const c of cashflows) {
+    if (!c.switch_pair_id) continue;
+    const sides = legs.get(c.switch_pair_id) || new Set();
+    sides.add(Math.sign(c.amount));
+    legs.set(c.switch_pair_id, sides);
+  }
+  return new Set(
+    [...legs].filter(([, sides]) => sides.size === 2).map(([id]) => id),
+  );
+}
+
+function summarise(records) {
+  let invested = records.reduce((s, r) => s + r.invested, 0);
+  let withdrawn = records.reduce((s, r) => s + r.withdrawn, 0);
+  const currentValue = records.reduce((s, r) => s + r.current_value, 0);
+  const heldCost = records.reduce((s, r) => s + r._heldCost, 0);
+  const weightedDays = records.reduce((s, r) => s + r._weightedDays, 0);
+  const datedCost = records.reduce((s, r) => s + r._datedCost, 0);
+
+  const internal = internalSwitches(records.flatMap((r) => r._cashflows));
+  const cashflows = records
+    .flatMap((r) => r._cashflows)
+    .filter((c) => {
+      if (!internal.has(c.switch_pair_id)) return true;
+      if (c.amount < 0) invested += c.amount;
+      else withdrawn -= c.amount;
+      return false;
+    });
+
+  const absoluteGain = currentValue + withdrawn - invested;
+  const avgHoldingDays = datedCost > 0 ? weightedDays / datedCost : null;
+
+  // CAGR of the units still held: their value against FIFO cost, over their average age
+  let cagr = null;
+  if (heldCost > 0 && currentValue > 0 && avgHoldingDays > 0) {
+    cagr = (currentValue / heldCost) ** (365 / avgHoldingDays) - 1;
+  }
+
+  const rate = xirr(cashflows);
+
+  return {
+    invested: round(invested),
+    withdrawn: round(withdrawn),
+    current_value: round(currentValue),
+    cost: round(heldCost),
+    absolute_gain: round(absoluteGain),
+    absolute_return:
+      invested > 0 ? round((absoluteGain / invested) * 100) : null,
+    unrealised_gain: round(currentValue - heldCost),
+    xirr: rate === null ? null : round(rate * 100),
+    cagr: cagr === null ? null : round(cagr * 100),
+    avg_holding_days:
+      avgHoldingDays === null ? null : Math.round(avgHoldingDays),
+    incomplete_history: records.some((r) => r.incomplete_history),
+  };
+}
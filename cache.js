@@ -0,0 +1,324 @@
+/**
+ * @file cache.js
+ * @description Pluggable response cache for upstream APIs (Groww, mfapi) - an in-memory LRU,
+ * an on-disk JSON store and a tiered combination of the two, with per-source TTLs.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const IST_OFFSET_MS = 5.5 * HOUR_MS;
+
+// AMFI NAVs for a business day are usually all out by this hour (IST)
+const NAV_PUBLISH_HOUR_IST = 23;
+
+// Expired entries are kept this long so they can still be served if upstream is down
+const STALE_GRACE_MS = 7 * DAY_MS;
+
+/**
+ * When NAV data cached at `now` goes out of date: the next weekday at
+ * NAV_PUBLISH_HOUR_IST, i.e. once the next business day's NAV is out.
+ * Market holidays are not modelled; they only cost one extra upstream call.
+ *
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function nextNavRefresh(now = new Date()) {
+  // Work on the IST wall clock, expressed as a UTC date
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  const refresh = new Date(ist.getTime());
+  refresh.setUTCHours(NAV_PUBLISH_HOUR_IST, 0, 0, 0);
+
+  if (refresh <= ist) refresh.setUTCDate(refresh.getUTCDate() + 1);
+  while (refresh.getUTCDay() === 0 || refresh.getUTCDay() === 6) {
+    refresh.setUTCDate(refresh.getUTCDate() + 1);
+  }
+  return new Date(refresh.getTime() - IST_OFFSET_MS);
+}
+
+/**
+ * Time-to-live per upstream source, in ms from `now`.
+ * - nav:      mfapi NAV history / latest NAV - until the next business day's NAV is published
+ * - metadata: Groww scheme details - one week
+ * - stats:    Groww portfolio stats - one day
+ * - similar:  Groww peer lists - one day
+ */
+export const CACHE_TTLS = {
+  nav: (now) => nextNavRefresh(now).getTime() - now.getTime(),
+  metadata: () => 7 * DAY_MS,
+  stats: () => DAY_MS,
+  similar: () => DAY_MS,
+};
+
+// ── Backends ────────────────────────────────────────────────────────────────
+// A backend is any object with async get(key) → entry|null, set(key, entry) and
+// delete(key). Entries are { value, source, cached_at, expires_at } and are
+// returned even when expired; freshness is decided by createCache().
+
+/**
+ * In-memory LRU. Map iteration order is insertion order, so re-inserting on
+ * read keeps the least recently used key first.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxEntries=200]
+ */
+export function createMemoryBackend({ maxEntries = 200 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    async get(key) {
+      if (!entries.has(key)) return null;
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * On-disk store - one JSON file per key, so it survives restarts and needs no
+ * native dependencies. Writes go through a temp file and rename to stay atomic.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir=".cache"]
+ */
+export function createFileBackend({ dir = ".cache" } = {}) {
+  const fileFor = (key) =>
+    path.join(
+      dir,
+      crypto.createHash("sha1").update(key).digest("hex") + ".json",
+    );
+  let ready = null;
+  const ensureDir = () =>
+    (ready ??= fs.mkdir(dir, { recursive: true }).catch((err) => {
+      ready = null;
+      throw err;
+    }));
+
+  return {
+    name: "file",
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+        return entry.key === key ? entry : null;
+      } catch {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      await ensureDir();
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ ...entry, key }));
+      await fs.rename(tmp, file);
+    },
+    async delete(key) {
+      await fs.unlink(fileFor(key)).catch(() => {});
+    },
+    // Removes entries past their stale grace period and leftover temp files
+    async prune(now = Date.now()) {
+      let files = [];
+      try {
+        files = await fs.readdir(dir);
+      } catch {
+        return 0;
+      }
+
+      let removed = 0;
+      for (const name of files) {
+        const file = path.join(dir, name);
+        let expired = name.endsWith(".tmp");
+        if (!expired && name.endsWith(".json")) {
+          try {
+            const entry = JSON.parse(await fs.readFile(file, "utf8"));
+            expired = !(entry.expires_at + STALE_GRACE_MS > now);
+          } catch {
+            expired = true;
+          }
+        }
+        if (expired) {
+          await fs.unlink(file).catch(() => {});
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * Checks backends in order (fastest first) and copies hits into the faster ones.
+ *
+ * @param {object[]} backends
+ */
+export function createTieredBackend(backends) {
+  return {
+    name: backends.map((b) => b.name).join("+"),
+    async get(key) {
+      for (let i = 0; i < backends.length; i++) {
+        const entry = await backends[i].get(key);
+        if (entry) {
+          await Promise.all(backends.slice(0, i).map((b) => b.set(key, entry)));
+          return entry;
+        }
+      }
+      return null;
+    },
+    async set(key, entry) {
+      await Promise.all(backends.map((b) => b.set(key, entry)));
+    },
+    async delete(key) {
+      await Promise.all(backends.map((b) => b.delete(key)));
+    },
+    async prune(now) {
+      const counts = await Promise.all(
+        backends.map((b) => (b.prune ? b.prune(now) : 0)),
+      );
+      return counts.reduce((s, n) => s + n, 0);
+    },
+  };
+}
+
+// ── Cache ───────────────────────────────────────────────────────────────────
+
+/**
+ * Wraps a backend with TTL handling.
+ *
+ * `wrap(source, key, fetchFn)` returns `{ value, status }` where status is:
+ * - "hit"   fresh entry from the cache
+ * - "miss"  fetched from upstream (and stored unless the result was empty)
+ * - "stale" upstream failed, so an expired entry was served instead
+ * - "bypass" caching is disabled
+ *
+ * `fetchFn` follows the fetch helpers' convention of resolving to null (or [])
+ * on failure; those results are never cached.
+ *
+ * @param {object|null} backend - null disables caching.
+ * @param {object} [options]
+ * @param {object} [options.ttls=CACHE_TTLS] - Source name → (now: Date) => ms.
+ */
+export function createCache(backend, { ttls = CACHE_TTLS } = {}) {
+  const isEmpty = (value) =>
+    value === null ||
+    value === undefined ||
+    (Array.isArray(value) && value.length === 0);
+
+  async function read(key) {
+    try {
+      return await backend.get(key);
+    } catch (err) {
+      console.error(`Cache read failed for ${key}:`, err.message);
+      return null;
+    }
+  }
+
+  async function write(key, entry) {
+    try {
+      await backend.set(key, entry);
+    } catch (err) {
+      console.error(`Cache write failed for ${key}:`, err.message);
+    }
+  }
+
+  async function wrap(source, key, fetchFn) {
+    if (!backend) return { value: await fetchFn(), status: "bypass" };
+
+    const cached = await read(key);
+    if (cached && cached.expires_at > Date.now()) {
+      return { value: cached.value, status: "hit" };
+    }
+
+    const value = await fetchFn();
+    if (isEmpty(value)) {
+      if (cached && cached.expires_at + STALE_GRACE_MS > Date.now()) {
+        return { value: cached.value, status: "stale" };
+      }
+      return { value, status: "miss" };
+    }
+
+    const now = new Date();
+    const ttl = (ttls[source] || ttls.metadata)(now);
+    await write(key, {
+      value,
+      source,
+      cached_at: now.toISOString(),
+      expires_at: now.getTime() + ttl,
+    });
+    return { value, status: "miss" };
+  }
+
+  return {
+    backend: backend ? backend.name : "none",
+    wrap,
+    delete: (key) => (backend ? backend.delete(key) : Promise.resolve()),
+    prune: (now = Date.now()) =>
+      backend?.prune ? backend.prune(now) : Promise.resolve(0),
+  };
+}
+
+/**
+ * Builds the cache from environment variables:
+ * - CACHE_BACKEND      tiered (default) | memory | file | none
+ * - CACHE_DIR          directory for the file backend (default ".cache")
+ * - CACHE_MAX_ENTRIES  memory LRU size (default 200)
+ *
+ * @param {object} [env=process.env]
+ */
+export function createCacheFromEnv(env = process.env) {
+  const kind = (env.CACHE_BACKEND || "tiered").toLowerCase();
+  const memory = () =>
+    createMemoryBackend({
+      maxEntries: parseInt(env.CACHE_MAX_ENTRIES, 10) || 200,
+    });
+  const file = () => createFileBackend({ dir: env.CACHE_DIR || ".cache" });
+
+  switch (kind) {
+    case "none":
+      return createCache(null);
+    case "memory":
+      return createCache(memory());
+    case "file":
+      return createCache(file());
+    case "tiered":
+      return createCache(createTieredBackend([memory(), file()]));
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${kind}"`);
+  }
+}
+
+/**
+ * Rolls per-fund cache statuses ({ source: status }) into counts for a response.
+ *
+ * @param {object[]} traces
+ * @returns {{ hits: number, misses: number, stale: number }}
+ */
+export function summariseCacheTraces(traces) {
+  const summary = { hits: 0, misses: 0, stale: 0 };
+  for (const trace of traces) {
+    for (const status of Object.values(trace || {})) {
+      if (status === "hit") summary.hits++;
+      else if (status === "miss") summary.misses++;
+      else if (status === "stale") summary.stale++;
+    }
+  }
+  return summary;
+}
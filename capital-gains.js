@@ -0,0 +1,301 @@
+/**
+ * @file capital-gains.js
+ * @description FIFO capital-gains engine for parsed CAS data, applying Indian STCG/LTCG holding-period
+ * rules, the 31-Jan-2018 equity grandfathering and the April-2023 debt fund rule change.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import {
+  addMonths,
+  buildFifoLots,
+  daysBetween,
+  financialYear,
+  round,
+  toDate,
+} from "./transactions.js";
+
+// ── Tax rule dates ──────────────────────────────────────────────────────────
+// Units bought on or before this date get their cost stepped up to the NAV on it (s.112A).
+export const GRANDFATHERING_DATE = "2018-01-31";
+// Equity LTCG became taxable for transfers from this date; earlier ones were exempt u/s 10(38).
+const EQUITY_LTCG_TAXABLE_FROM = toDate("2018-04-01");
+// Debt funds bought from this date are always short-term (s.50AA).
+const DEBT_DEEMED_STCG_FROM = toDate("2023-04-01");
+// Non-equity long-term threshold dropped from 36 to 24 months for transfers from this date.
+const NON_EQUITY_24M_FROM = toDate("2024-07-23");
+
+// Hybrid sub-categories that keep at least 65% in domestic equity
+const EQUITY_ORIENTED_HYBRIDS = [
+  "aggressive hybrid",
+  "arbitrage",
+  "equity savings",
+  "balanced advantage",
+  "dynamic asset allocation",
+];
+
+const DEBT_NAME_HINTS =
+  /\b(liquid|overnight|money market|gilt|bond|debt|income|credit risk|banking (?:and|&) psu|duration|floater|corporate|treasury|savings fund|ultra short|low duration|short term|medium term|long term)\b/i;
+
+/**
+ * Tax treatment bucket for a fund: "EQUITY", "DEBT" (specified MF, ≤35% equity)
+ * or "OTHER" (hybrids, FoFs, commodities - 24/36 month rule without s.50AA).
+ *
+ * @param {object} [fund] - Fund metadata as built by _buildFundBase (category, sub_category),
+ *   optionally with an explicit `tax_class` override.
+ * @param {string} [schemeName] - Used as a fallback when no category is available.
+ * @returns {{ taxClass: string, source: string }}
+ */
+export function taxClassOf(fund, schemeName = "") {
+  const override = String(fund?.tax_class || "").toUpperCase();
+  if (["EQUITY", "DEBT", "OTHER"].includes(override)) {
+    return { taxClass: override, source: "override" };
+  }
+
+  const category = (fund?.category || "").toLowerCase();
+  const subCategory = (fund?.sub_category || "").toLowerCase();
+
+  if (category) {
+    if (category === "equity")
+      return { taxClass: "EQUITY", source: "category" };
+    if (category === "debt") return { taxClass: "DEBT", source: "category" };
+    if (category === "hybrid") {
+      if (EQUITY_ORIENTED_HYBRIDS.some((h) => subCategory.includes(h))) {
+        return { taxClass: "EQUITY", source: "category" };
+      }
+      if (subCategory.includes("conservative")) {
+        return { taxClass: "DEBT", source: "category" };
+      }
+    }
+    return { taxClass: "OTHER", source: "category" };
+  }
+
+  // No metadata - fall back to the scheme name
+  if (DEBT_NAME_HINTS.test(schemeName)) {
+    return { taxClass: "DEBT", source: "scheme_name" };
+  }
+  if (
+    /\b(fof|fund of funds?|gold|silver|hybrid|multi asset)\b/i.test(schemeName)
+  ) {
+    return { taxClass: "OTHER", source: "scheme_name" };
+  }
+  return { taxClass: "EQUITY", source: "scheme_name" };
+}
+
+/**
+ * Date from which units bought on `buyDate` count as long-term when sold,
+ * or null if they never do (debt funds bought on/after 1-Apr-2023).
+ *
+ * @param {string} taxClass
+ * @param {string|Date} buyDate
+ * @returns {Date|null}
+ */
+export function longTermFrom(taxClass, buyDate) {
+  const bought = toDate(buyDate);
+  if (!bought) return null;
+
+  // "More than N months" - long-term from the day after the N-month anniversary
+  const after = (months) => {
+    const d = addMonths(bought, months);
+    d.setUTCDate(d.getUTCDate() + 1);
+    return d;
+  };
+
+  if (taxClass === "EQUITY") return after(12);
+  if (taxClass === "DEBT" && bought >= DEBT_DEEMED_STCG_FROM) return null;
+
+  // 36 months for transfers before 23-Jul-2024, 24 months from then on
+  const by24 = after(24);
+  if (by24 >= NON_EQUITY_24M_FROM) return by24;
+  const by36 = after(36);
+  return by36 < NON_EQUITY_24M_FROM ? by36 : NON_EQUITY_24M_FROM;
+}
+
+export function isLongTerm(taxClass, buyDate, sellDate) {
+  const from = longTermFrom(taxClass, buyDate);
+  const sold = toDate(sellDate);
+  return !!from && !!sold && sold >= from;
+}
+
+/**
+ * Annual LTCG exemption on equity-oriented funds (s.112A) for a financial year.
+ *
+ * @param {string} fy - e.g. "FY2024-25"
+ * @returns {number}
+ */
+export function ltcgExemptionLimit(fy) {
+  const startYear = parseInt(String(fy).match(/(\d{4})/)?.[1], 10);
+  return startYear >= 2024 ? 125000 : 100000;
+}
+
+/**
+ * ISINs whose FIFO lots may need the 31-Jan-2018 NAV: anything with purchases
+ * (or an opening balance) on or before the grandfathering date.
+ *
+ * @param {object} casData - Output of parseCAS().
+ * @returns {string[]}
+ */
+export function grandfatheringCandidates(casData) {
+  const cutoff = GRANDFATHERING_DATE;
+  const from = casData?.statement_period?.from;
+  const isins = new Set();
+
+  for (const folio of casData?.folios || []) {
+    for (const scheme of folio.schemes || []) {
+      const early =
+        (scheme.open > 0 && from && from <= cutoff) ||
+        (scheme.transactions || []).some((t) => t.date <= cutoff);
+      if (early && scheme.isin) isins.add(scheme.isin);
+    }
+  }
+  return [...isins];
+}
+
+/**
+ * Matches every redemption / switch-out to its purchase lots FIFO and classifies
+ * the gain. Sales that hit units bought before the statement period cannot be
+ * costed and are reported under `incomplete` instead.
+ *
+ * @param {object} casData - Output of parseCAS() (detailed CAS).
+ * @param {object} [options]
+ * @param {object} [options.funds] - Fund metadata keyed by ISIN (the `data` object of
+ *   /api/mf-stats); `category`/`sub_category` drive the tax class.
+ * @param {object} [options.grandfatheredNavs] - NAV on 31-Jan-2018 keyed by ISIN.
+ * @param {string} [options.fy] - Restrict output to one financial year ("FY2023-24" or "2023-24").
+ * @returns {object} { financial_years[], gains[], incomplete[] }
+ */
+export function computeCapitalGains(casData, options = {}) {
+  const funds = options.funds || {};
+  const grandfatheredNavs = options.grandfatheredNavs || {};
+  const fyFilter = options.fy
+    ? `FY${String(options.fy).replace(/^FY/i, "")}`
+    : null;
+
+  const gains = [];
+  const incomplete = [];
+
+  for (const folio of casData?.folios || []) {
+    for (const scheme of folio.schemes || []) {
+      const { taxClass, source } = taxClassOf(
+        funds[scheme.isin],
+        scheme.scheme,
+      );
+      const opening =
+        scheme.open > 0
+          ? {
+              units: scheme.open,
+              cost: 0,
+              date: casData?.statement_period?.from,
+            }
+          : null;
+
+      const { disposals } = buildFifoLots(scheme.transactions || [], opening);
+
+      for (const d of disposals) {
+        const fy = financialYear(d.sale.date);
+        if (fyFilter && fy !== fyFilter) continue;
+
+        const base = {
+          fy,
+          folio: folio.folio,
+          amc: folio.amc,
+          scheme: scheme.scheme,
+          isin: scheme.isin,
+          sale_date: d.sale.date,
+          sale_type: d.sale.type,
+          units: round(d.units, 3),
+          sale_value: round(d.proceeds),
+        };
+
+        if (!d.lot || d.lot.opening) {
+          incomplete.push({
+            ...base,
+            reason: "PURCHASE_BEFORE_STATEMENT_PERIOD",
+          });
+          continue;
+        }
+
+        const buyDate = toDate(d.lot.date);
+        const sellDate = toDate(d.sale.date);
+        const longTerm = isLongTerm(taxClass, buyDate, sellDate);
+
+        // Grandfathering: cost = max(actual cost, min(FMV on 31-Jan-2018, sale value))
+        let costOfAcquisition = d.cost;
+        let grandfathered = false;
+        let grandfatheringMissing = false;
+        if (
+          taxClass === "EQUITY" &&
+          longTerm &&
+          d.lot.date <= GRANDFATHERING_DATE &&
+          sellDate >= EQUITY_LTCG_TAXABLE_FROM
+        ) {
+          const fmvNav = parseFloat(grandfatheredNavs[scheme.isin]);
+          if (fmvNav > 0) {
+            const fmv = fmvNav * d.units;
+            costOfAcquisition = Math.max(d.cost, Math.min(fmv, d.proceeds));
+            grandfathered = true;
+          } else {
+            grandfatheringMissing = true;
+          }
+        }
+
+        gains.push({
+          ...base,
+          tax_class: taxClass,
+          tax_class_source: source,
+          purchase_date: d.lot.date,
+          holding_days: daysBetween(buyDate, sellDate),
+          term: longTerm ? "LTCG" : "STCG",
+          cost: round(d.cost),
+          cost_of_acquisition: round(costOfAcquisition),
+          gain: round(d.proceeds - costOfAcquisition),
+          ...(grandfathered && { grandfathered: true }),
+          ...(grandfatheringMissing && { grandfathering_nav_missing: true }),
+          ...(taxClass === "EQUITY" &&
+            longTerm &&
+            sellDate < EQUITY_LTCG_TAXABLE_FROM && { exempt_10_38: true }),
+        });
+      }
+    }
+  }
+
+  return {
+    financial_years: summariseByFY(gains),
+    gains,
+    incomplete,
+  };
+}
+
+function summariseByFY(gains) {
+  const byFY = new Map();
+  const bucket = () => ({ stcg: 0, ltcg: 0 });
+
+  for (const g of gains) {
+    if (!byFY.has(g.fy)) {
+      byFY.set(g.fy, {
+        fy: g.fy,
+        equity: bucket(),
+        debt: bucket(),
+        other: bucket(),
+        total: bucket(),
+        sale_value: 0,
+        ltcg_exemption_limit: ltcgExemptionLimit(g.fy),
+      });
+    }
+    const entry = byFY.get(g.fy);
+    const key = g.term === "LTCG" ? "ltcg" : "stcg";
+    entry[g.tax_class.toLowerCase()][key] += g.gain;
+    entry.total[key] += g.gain;
+    entry.sale_value += g.sale_value;
+  }
+
+  return [...byFY.values()]
+    .sort((a, b) => (a.fy < b.fy ? -1 : 1))
+    .map((entry) => {
+      for (const key of ["equity", "debt", "other", "total"]) {
+        entry[key].stcg = round(entry[key].stcg);
+        entry[key].ltcg = round(entry[key].ltcg);
+      }
+      entry.sale_value = round(entry.sale_value);
+      return entry;
+    });
+}
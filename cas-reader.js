@@ -0,0 +1,130 @@
+/**
+ * @file cas-reader.js
+ * @description Decrypts and reads a CAS PDF with pdfreader, streaming its text lines into the
+ * CAS parser. Used by the API server and by the background parsing workers.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import { PdfReader } from "pdfreader";
+import { AppError } from "./errors.js";
+import { createCASParser } from "./parser.js";
+
+/**
+ * Reads the text of a CAS PDF line by line. Lines go to `onLine` as the PDF is read
+ * rather than being collected, so a multi-year statement never sits in memory as
+ * one string. Pages are separated by "=== Page N ===" lines.
+ *
+ * @param {string|Uint8Array} source - Path of the PDF, or its bytes (memory uploads).
+ * @param {string} password - PDF password ("" when not protected).
+ * @param {object} handlers
+ * @param {(line: string) => void} handlers.onLine
+ * @param {(page: number) => void} [handlers.onPage] - Called as each page starts.
+ * @returns {Promise<void>} Rejects with an AppError: WRONG_PASSWORD, or NOT_A_PDF when
+ *   the file cannot be read as a PDF at all.
+ */
+export async function readCAS(source, password, { onLine, onPage } = {}) {
+  return new Promise((resolve, reject) => {
+    let currentY = 0;
+    let line = "";
+    let failed = false;
+
+    const handleItem = (err, item) => {
+      if (failed) return;
+      if (err) {
+        failed = true;
+        return reject(pdfError(err));
+      }
+
+      try {
+        if (!item) {
+          if (line.trim()) onLine(line.trim());
+          return resolve();
+        }
+
+        if (item.page) {
+          onLine("");
+          onLine(`=== Page ${item.page} ===`);
+          onLine("");
+          onPage?.(item.page);
+          currentY = 0;
+          return;
+        }
+
+        if (item.text) {
+          if (currentY && Math.abs(item.y - currentY) > 0.5) {
+            onLine(line.trim());
+            line = "";
+          }
+          currentY = item.y;
+          line += item.text + " ";
+        }
+      } catch (parseErr) {
+        failed = true;
+        reject(parseErr);
+      }
+    };
+
+    const reader = new PdfReader({ password });
+    if (typeof source === "string") {
+      reader.parseFileItems(source, handleItem);
+    } else {
+      // pdf2json reads the whole underlying ArrayBuffer, so a view into a larger
+      // one (small Buffers share a pool) is copied out first. A Buffer sent to a
+      // worker thread arrives as a plain Uint8Array with a buffer of its own.
+      const bytes =
+        source.byteOffset === 0 &&
+        source.byteLength === source.buffer.byteLength
+          ? source
+          : new Uint8Array(source);
+      reader.parseBuffer(Buffer.from(bytes.buffer), handleItem);
+    }
+  });
+}
+
+// pdfreader rejects with { parserError: "PasswordException: ..." } or
+// { parserError: "Error: Invalid XRef stream header" } rather than an Error
+function pdfError(err) {
+  const reason = String(err?.parserError || err?.message || err).replace(
+    /^(Error: )+/,
+    "",
+  );
+  if (/PasswordException/.test(reason)) {
+    return /No password/i.test(reason)
+      ? new AppError("WRONG_PASSWORD", "The PDF is password protected")
+      : new AppError("WRONG_PASSWORD", "Incorrect PDF password");
+  }
+  return new AppError(
+    "NOT_A_PDF",
+    `The file is not a readable PDF (${reason})`,
+  );
+}
+
+// Log a line every this many pages while reading large statements
+const PROGRESS_LOG_PAGES = 50;
+
+/**
+ * Reads a CAS PDF straight into the streaming parser.
+ *
+ * @param {string|Uint8Array} source - Path of the PDF, or its bytes.
+ * @param {string} password
+ * @param {object} [options] - parseCAS() options, plus:
+ * @param {(progress: { pages: number, lines: number }) => void} [options.onProgress] -
+ *   Pages and lines read so far, after every page.
+ * @returns {Promise<object>} What parseCAS() returns for the statement.
+ */
+export async function parseCASFile(source, password, options = {}) {
+  const { onProgress, ...parseOptions } = options;
+  const name = typeof source === "string" ? source : "in-memory upload";
+  const parser = createCASParser(parseOptions);
+  await readCAS(source, password, {
+    onLine: parser.push,
+    onPage: (page) => {
+      const progress = { pages: page, lines: parser.lines };
+      if (page % PROGRESS_LOG_PAGES === 0) {
+        console.log(`📄 Read ${page} pages of ${name}`);
+      }
+      onProgress?.(progress);
+    },
+  });
+  return parser.end();
+}
@@ -0,0 +1,28 @@
+/**
+ * @file cas-worker.js
+ * @description worker_threads entry point for background CAS parsing. Each message names one
+ * uploaded PDF (path or bytes); the worker reports pages read as it goes and posts back the parsed statement.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import { parentPort } from "worker_threads";
+import { parseCASFile } from "./cas-reader.js";
+import { toAppError } from "./errors.js";
+
+parentPort.on("message", async ({ source, password, options }) => {
+  try {
+    const result = await parseCASFile(source, password, {
+      ...options,
+      onProgress: (progress) =>
+        parentPort.postMessage({ type: "progress", progress }),
+    });
+    parentPort.postMessage({ type: "done", result });
+  } catch (err) {
+    // Cloning an Error keeps only its message, so the code is sent alongside
+    const { code, message, details } = toAppError(err);
+    parentPort.postMessage({
+      type: "error",
+      error: { code, message, details },
+    });
+  }
+});
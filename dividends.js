@@ -0,0 +1,121 @@
+/**
+ * @file dividends.js
+ * @description IDCW (dividend) income per scheme per financial year - payouts, reinvestments and
+ * the TDS withheld on them - for tax filing, where dividends are taxed at the investor's slab rate.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import { financialYear, round } from "./transactions.js";
+
+const emptyTotals = () => ({
+  dividends: 0,
+  payout: 0,
+  reinvested: 0,
+  reinvested_units: 0,
+  gross: 0,
+  tds: 0,
+  net: 0,
+  other_tds: 0,
+});
+
+function addTotals(target, source) {
+  for (const key of Object.keys(emptyTotals())) target[key] += source[key] || 0;
+}
+
+function roundTotals(totals) {
+  for (const key of Object.keys(emptyTotals())) {
+    if (key === "dividends" || !(key in totals)) continue;
+    totals[key] = round(totals[key], key === "reinvested_units" ? 3 : 2);
+  }
+  return totals;
+}
+
+/**
+ * Sums IDCW income per scheme and financial year. TDS rows on the same day as an
+ * IDCW row of the scheme are tax withheld on it (`tds`); any other TDS, such as on
+ * an NRI's redemption, is reported as `other_tds` so nothing is lost.
+ *
+ * @param {object} casData - Output of parseCAS() (detailed or merged CAS).
+ * @param {object} [options]
+ * @param {string} [options.fy] - Restrict output to one financial year ("FY2023-24" or "2023-24").
+ * @returns {object} { financial_years[], schemes[] } - amounts in INR; `gross` is payout plus
+ *   reinvested, `net` is gross less `tds`.
+ */
+export function computeDividendIncome(casData, options = {}) {
+  const fyFilter = options.fy
+    ? `FY${String(options.fy).replace(/^FY/i, "")}`
+    : null;
+
+  const schemes = [];
+  for (const folio of casData?.folios || []) {
+    for (const scheme of folio.schemes || []) {
+      const transactions = scheme.transactions || [];
+      const dividendDates = new Set(
+        transactions.filter((t) => t.type === "DIVIDEND").map((t) => t.date),
+      );
+
+      const byFY = new Map();
+      const entryFor = (date) => {
+        const fy = financialYear(date);
+        if (!byFY.has(fy)) byFY.set(fy, emptyTotals());
+        return byFY.get(fy);
+      };
+
+      for (const tx of transactions) {
+        const amount = Math.abs(tx.amount || 0);
+        if (tx.type === "DIVIDEND") {
+          const entry = entryFor(tx.date);
+          entry.dividends++;
+          entry.gross += amount;
+          // Rows from before subtypes existed: reinvestments are the ones that add units
+          const reinvest =
+            tx.subtype === "IDCW_REINVEST" ||
+            (tx.subtype === undefined && tx.units > 0);
+          if (reinvest) {
+            entry.reinvested += amount;
+            entry.reinvested_units += Math.abs(tx.units || 0);
+          } else {
+            entry.payout += amount;
+          }
+        } else if (tx.type === "TDS_TAX") {
+          const entry = entryFor(tx.date);
+          if (dividendDates.has(tx.date)) {
+            entry.tds += amount;
+          } else {
+            entry.other_tds += amount;
+          }
+        }
+      }
+
+      for (const [fy, totals] of byFY) {
+        if (fyFilter && fy !== fyFilter) continue;
+        totals.net = totals.gross - totals.tds;
+        schemes.push({
+          fy,
+          folio: folio.folio,
+          amc: folio.amc,
+          scheme: scheme.scheme,
+          isin: scheme.isin,
+          ...roundTotals(totals),
+        });
+      }
+    }
+  }
+
+  const byFY = new Map();
+  for (const row of schemes) {
+    if (!byFY.has(row.fy)) byFY.set(row.fy, { fy: row.fy, ...emptyTotals() });
+    addTotals(byFY.get(row.fy), row);
+  }
+
+  return {
+    financial_years: [...byFY.values()]
+      .sort((a, b) => (a.fy < b.fy ? -1 : 1))
+      .map((totals) => {
+        // Units of different schemes do not add up
+        delete totals.reinvested_units;
+        return roundTotals(totals);
+      }),
+    schemes: schemes.sort((a, b) => (a.fy < b.fy ? -1 : a.fy > b.fy ? 1 : 0)),
+  };
+}
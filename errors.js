@@ -0,0 +1,80 @@
+/**
+ * @file errors.js
+ * @description Error model shared by the CAS parser and the API server - stable error codes a client can
+ * branch on, the HTTP status of each, and the conversion of anything thrown into a JSON error response.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+
+// Error code → HTTP status
+export const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  WRONG_PASSWORD: 422,
+  NOT_A_PDF: 415,
+  FILE_TOO_LARGE: 413,
+  INVALID_UPLOAD: 400,
+  NOT_FOUND: 404,
+  NOT_A_CAS: 422,
+  UNSUPPORTED_CAS_FORMAT: 422,
+  NO_FOLIOS: 422,
+  UPSTREAM_UNAVAILABLE: 502,
+  QUEUE_FULL: 503,
+  INTERNAL_ERROR: 500,
+};
+
+/**
+ * An error with a stable `code` (a key of ERROR_STATUS) and its HTTP `status`.
+ *
+ * @param {string} code
+ * @param {string} message - Human-readable; may change, unlike `code`.
+ * @param {object} [details] - Extra fields for the response, e.g. { file }.
+ */
+export class AppError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = "AppError";
+    this.code = code;
+    this.status = ERROR_STATUS[code] ?? 500;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+/**
+ * Any thrown value as an AppError. Plain `{ code, message }` objects (an AppError
+ * that crossed a worker thread) keep their code; node-fetch network failures become
+ * UPSTREAM_UNAVAILABLE; anything else is an INTERNAL_ERROR.
+ *
+ * @param {*} err
+ * @returns {AppError}
+ */
+export function toAppError(err) {
+  if (err instanceof AppError) return err;
+  if (err && Object.hasOwn(ERROR_STATUS, err.code)) {
+    return new AppError(err.code, err.message, err.details);
+  }
+  if (err?.name === "FetchError" || err?.name === "AbortError") {
+    return new AppError(
+      "UPSTREAM_UNAVAILABLE",
+      `Upstream request failed: ${err.message}`,
+    );
+  }
+  return new AppError(
+    "INTERNAL_ERROR",
+    err?.message || err?.parserError || String(err),
+  );
+}
+
+/**
+ * The response for an error, in the API's `{ success: false, error }` shape plus
+ * its `code`.
+ *
+ * @param {*} err
+ * @returns {{ status: number, body: object }}
+ */
+export function errorResponse(err) {
+  const { status, code, message, details } = toAppError(err);
+  return {
+    status,
+    body: { success: false, error: message, code, ...details },
+  };
+}
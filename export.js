@@ -0,0 +1,310 @@
+/**
+ * @file export.js
+ * @description Flattens parsed CAS data (and optional capital gains) into tabular views and
+ * serialises them as CSV, JSON-lines or an XLSX workbook with one worksheet per view.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import ExcelJS from "exceljs";
+import { computeDividendIncome } from "./dividends.js";
+import { round, toDate, toISODate } from "./transactions.js";
+
+// Column order is part of the export contract - append new columns, never reorder.
+export const EXPORT_COLUMNS = {
+  transactions: [
+    "folio",
+    "amc",
+    "pan",
+    "scheme",
+    "isin",
+    "rta_code",
+    "date",
+    "type",
+    "description",
+    "amount",
+    "units",
+    "nav",
+    "balance",
+    "subtype",
+    "reversal_id",
+    "switch_pair_id",
+  ],
+  holdings: [
+    "asset_class",
+    "folio",
+    "amc",
+    "pan",
+    "scheme",
+    "isin",
+    "rta_code",
+    "advisor",
+    "open_units",
+    "close_units",
+    "nav_date",
+    "nav",
+    "cost_value",
+    "market_value",
+    "pledged_units",
+    "free_units",
+  ],
+  summary: [
+    "amc",
+    "folios",
+    "schemes",
+    "transactions",
+    "cost_value",
+    "market_value",
+  ],
+  gains: [
+    "fy",
+    "folio",
+    "amc",
+    "scheme",
+    "isin",
+    "tax_class",
+    "sale_type",
+    "purchase_date",
+    "sale_date",
+    "holding_days",
+    "term",
+    "units",
+    "sale_value",
+    "cost",
+    "cost_of_acquisition",
+    "gain",
+  ],
+  dividends: [
+    "fy",
+    "folio",
+    "amc",
+    "scheme",
+    "isin",
+    "dividends",
+    "payout",
+    "reinvested",
+    "reinvested_units",
+    "gross",
+    "tds",
+    "net",
+    "other_tds",
+  ],
+};
+
+export const EXPORT_FORMATS = ["csv", "xlsx", "jsonl"];
+
+/**
+ * Flattens the folios → schemes → transactions tree into row arrays.
+ *
+ * @param {object} casData - Output of parseCAS() (any CAS type).
+ * @param {object} [gains] - Output of computeCapitalGains(); adds a `gains` view when given.
+ * @returns {{ [view: string]: object[] }} Rows keyed by view name, each row keyed by EXPORT_COLUMNS.
+ */
+export function flattenCAS(casData, gains = null) {
+  const transactions = [];
+  const holdings = [];
+  const byAMC = new Map();
+
+  const tally = (amc, folioKey, scheme) => {
+    const key = amc || "Unknown AMC";
+    if (!byAMC.has(key)) {
+      byAMC.set(key, {
+        amc: key,
+        folios: new Set(),
+        schemes: 0,
+        transactions: 0,
+        cost_value: 0,
+        market_value: 0,
+      });
+    }
+    const entry = byAMC.get(key);
+    entry.folios.add(folioKey);
+    entry.schemes += 1;
+    entry.transactions += scheme.transactions;
+    entry.cost_value += scheme.cost || 0;
+    entry.market_value += scheme.value || 0;
+  };
+
+  if (casData?.cas_type === "SUMMARY") {
+    // Summary CAS: one flat row per folio/scheme holding
+    for (const f of casData.folios || []) {
+      holdings.push({
+        asset_class: "MF",
+        folio: f.folio,
+        amc: f.amc,
+        pan: null,
+        scheme: f.scheme,
+        isin: f.isin,
+        rta_code: f.rta_code,
+        advisor: null,
+        open_units: null,
+        close_units: f.units,
+        nav_date: toISODate(toDate(f.nav_date)),
+        nav: f.nav,
+        cost_value: f.cost,
+        market_value: f.current_value,
+        pledged_units: null,
+        free_units: null,
+      });
+      tally(f.amc, f.folio, {
+        transactions: 0,
+        cost: f.cost,
+        value: f.current_value,
+      });
+    }
+  } else {
+    for (const folio of casData?.folios || []) {
+      for (const scheme of folio.schemes || []) {
+        const common = {
+          folio: folio.folio,
+          amc: folio.amc,
+          pan: folio.PAN || null,
+          scheme: scheme.scheme,
+          isin: scheme.isin,
+          rta_code: scheme.rta_code,
+        };
+
+        for (const tx of scheme.transactions || []) {
+          transactions.push({
+            ...common,
+            date: tx.date,
+            type: tx.type,
+            description: tx.description,
+            amount: tx.amount,
+            units: tx.units,
+            nav: tx.nav,
+            balance: tx.balance,
+            subtype: tx.subtype ?? null,
+            reversal_id: tx.reversal_id ?? null,
+            switch_pair_id: tx.switch_pair_id ?? null,
+          });
+        }
+
+        holdings.push({
+          asset_class: "MF",
+          ...common,
+          advisor: scheme.advisor,
+          open_units: scheme.open,
+          close_units: scheme.close,
+          nav_date: scheme.valuation?.date || null,
+          nav: scheme.valuation?.nav ?? null,
+          cost_value: scheme.valuation?.cost ?? null,
+          market_value: scheme.valuation?.value ?? null,
+          pledged_units: scheme.pledged_units ?? null,
+          free_units: scheme.free_units ?? null,
+        });
+
+        tally(folio.amc, folio.folio, {
+          transactions: (scheme.transactions || []).length,
+          cost: scheme.valuation?.cost,
+          value: scheme.valuation?.value,
+        });
+      }
+    }
+  }
+
+  // Depository CAS: demat equities, ETFs and bonds join the holdings view
+  const assetClasses = { equities: "EQUITY", etfs: "ETF", bonds: "BOND" };
+  for (const [key, assetClass] of Object.entries(assetClasses)) {
+    for (const h of casData?.holdings?.[key] || []) {
+      holdings.push({
+        asset_class: assetClass,
+        folio: [h.dp_id, h.client_id].filter(Boolean).join(""),
+        amc: null,
+        pan: null,
+        scheme: h.name,
+        isin: h.isin,
+        rta_code: null,
+        advisor: null,
+        open_units: null,
+        close_units: h.quantity,
+        nav_date: casData.statement_period?.to || null,
+        nav: h.price,
+        cost_value: null,
+        market_value: h.value,
+        pledged_units: null,
+        free_units: null,
+      });
+    }
+  }
+
+  const summary = [...byAMC.values()].map((e) => ({
+    ...e,
+    folios: e.folios.size,
+    cost_value: round(e.cost_value),
+    market_value: round(e.market_value),
+  }));
+  summary.push({
+    amc: "TOTAL",
+    folios: summary.reduce((s, e) => s + e.folios, 0),
+    schemes: summary.reduce((s, e) => s + e.schemes, 0),
+    transactions: summary.reduce((s, e) => s + e.transactions, 0),
+    cost_value: round(summary.reduce((s, e) => s + e.cost_value, 0)),
+    market_value: round(summary.reduce((s, e) => s + e.market_value, 0)),
+  });
+
+  const views = { transactions, holdings, summary };
+  if (gains) views.gains = gains.gains || [];
+  views.dividends = computeDividendIncome(casData).schemes;
+  return views;
+}
+
+// Cells starting with these are evaluated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * One JSON object per line; each row is tagged with its view so several views
+ * can share a file.
+ */
+export function toJSONL(views) {
+  const lines = [];
+  for (const [view, rows] of Object.entries(views)) {
+    const columns = EXPORT_COLUMNS[view];
+    for (const row of rows) {
+      const ordered = { view };
+      columns.forEach((c) => (ordered[c] = row[c] ?? null));
+      lines.push(JSON.stringify(ordered));
+    }
+  }
+  return lines.join("\n") + (lines.length ? "\n" : "");
+}
+
+/**
+ * Builds an XLSX workbook with one worksheet per view.
+ *
+ * @returns {Promise<Buffer>}
+ */
+export async function toXLSX(views) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "My MF Dashboard";
+  workbook.created = new Date();
+
+  for (const [view, rows] of Object.entries(views)) {
+    const sheet = workbook.addWorksheet(view, {
+      views: [{ state: "frozen", ySplit: 1 }],
+    });
+    sheet.columns = EXPORT_COLUMNS[view].map((key) => ({
+      header: key,
+      key,
+      width: Math.max(12, key.length + 2),
+    }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach((row) => sheet.addRow(row));
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
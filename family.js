@@ -0,0 +1,167 @@
+/**
+ * @file family.js
+ * @description Combines several parsed CAS statements (one per family member, or overlapping statements
+ * of the same investor) into a family portfolio keyed by PAN, with per-investor and combined totals.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import { amcFolioKey, mergeStatements, toDetailedFolios } from "./merge.js";
+import { round } from "./transactions.js";
+
+/**
+ * PAN a statement belongs to: the one most of its folios carry. Summary and
+ * depository statements print no folio PAN and return null.
+ *
+ * @param {object} casData - Output of parseCAS().
+ * @returns {string|null}
+ */
+export function statementPAN(casData) {
+  const counts = new Map();
+  for (const folio of casData?.folios || []) {
+    if (folio.PAN) counts.set(folio.PAN, (counts.get(folio.PAN) || 0) + 1);
+  }
+  let best = null;
+  for (const [pan, count] of counts) {
+    if (!best || count > counts.get(best)) best = pan;
+  }
+  return best;
+}
+
+/**
+ * Key a statement's investor is grouped under: the PAN when known, otherwise
+ * the investor's name, then email, so statements without folio PANs still
+ * land with the right person.
+ */
+export function investorKey(casData) {
+  const pan = statementPAN(casData);
+  if (pan) return pan;
+
+  const info = casData?.investor_info || {};
+  const name = String(info.name || "")
+    .toUpperCase()
+    .replace(/\s+/g, " ")
+    .trim();
+  if (name) return `NAME:${name}`;
+  if (info.email) return `EMAIL:${String(info.email).toLowerCase()}`;
+  return "UNKNOWN";
+}
+
+/**
+ * Groups parsed statements by investor and merges each investor's folios.
+ *
+ * @param {{ data: object, file?: string }[]} statements - parseCAS() results, with the
+ *   uploaded file name for reference.
+ * @returns {object} { investors[], totals, duplicates[] }
+ */
+export function buildFamilyPortfolio(statements) {
+  const keyed = statements.map(({ data, file }) => ({
+    data,
+    file: file || null,
+    key: investorKey(data),
+    hasPAN: !!statementPAN(data),
+  }));
+
+  // Statements without folio PANs join the PAN holder they share a folio with
+  const panByFolio = new Map();
+  for (const s of keyed.filter((s) => s.hasPAN)) {
+    for (const folio of toDetailedFolios(s.data)) {
+      panByFolio.set(amcFolioKey(folio), s.key);
+    }
+  }
+  for (const s of keyed.filter((s) => !s.hasPAN)) {
+    const match = toDetailedFolios(s.data)
+      .map((folio) => panByFolio.get(amcFolioKey(folio)))
+      .find(Boolean);
+    if (match) s.key = match;
+  }
+
+  const byInvestor = new Map();
+  for (const { data, file, key } of keyed) {
+    if (!byInvestor.has(key)) {
+      byInvestor.set(key, { key, statements: [] });
+    }
+    byInvestor.get(key).statements.push({ data, file });
+  }
+
+  const duplicates = [];
+  const investors = [...byInvestor.values()].map(({ key, statements }) => {
+    const merged = mergeStatements(statements.map((s) => s.data));
+    const report = merged.merge_report;
+
+    for (const m of report.merged_schemes) {
+      duplicates.push({
+        investor: key,
+        folio: m.folio,
+        isin: m.isin,
+        scheme: m.scheme,
+        files: m.statements.map((index) => statements[index].file),
+      });
+    }
+
+    return {
+      key,
+      pan: key.startsWith("NAME:") || key.startsWith("EMAIL:") ? null : key,
+      investor_info: merged.investor_info,
+      cas_type: "MERGED",
+      statement_period: merged.statement_period,
+      statements: report.statements.map(({ index }) => {
+        const { data, file } = statements[index];
+        return {
+          file,
+          file_type: data.file_type,
+          cas_type: data.cas_type,
+          statement_period: data.statement_period,
+        };
+      }),
+      folios: merged.folios,
+      holdings: merged.holdings,
+      merge_report: report,
+      totals: investorTotals(merged.folios, merged.holdings),
+    };
+  });
+
+  return {
+    investors,
+    totals: combinedTotals(investors),
+    duplicates,
+  };
+}
+
+function investorTotals(folios, holdings) {
+  let schemes = 0;
+  let cost = 0;
+  let mfValue = 0;
+  for (const folio of folios) {
+    for (const scheme of folio.schemes) {
+      schemes++;
+      cost += scheme.valuation?.cost || 0;
+      mfValue += scheme.valuation?.value || 0;
+    }
+  }
+  const dematValue = Object.values(holdings)
+    .flat()
+    .reduce((sum, h) => sum + (h.value || 0), 0);
+
+  return {
+    folios: folios.length,
+    schemes,
+    cost: round(cost),
+    mf_value: round(mfValue),
+    demat_value: round(dematValue),
+    current_value: round(mfValue + dematValue),
+  };
+}
+
+function combinedTotals(investors) {
+  const sum = (field) =>
+    round(investors.reduce((s, inv) => s + (inv.totals[field] || 0), 0));
+  return {
+    investors: investors.length,
+    folios: investors.reduce((s, inv) => s + inv.totals.folios, 0),
+    schemes: investors.reduce((s, inv) => s + inv.totals.schemes, 0),
+    cost: sum("cost"),
+    mf_value: sum("mf_value"),
+    demat_value: sum("demat_value"),
+    current_value: sum("current_value"),
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * @file jobs.js
+ * @description Background jobs for long-running requests - a worker_threads pool that runs tasks off
+ * the event loop, and an in-memory job store that tracks status and progress and expires results.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import crypto from "crypto";
+import { Worker } from "worker_threads";
+
+/**
+ * Fixed-size pool of worker threads running one script. Tasks wait in a FIFO
+ * queue while every worker is busy; a worker that crashes is replaced.
+ *
+ * The worker receives each task as a message and answers with
+ * `{ type: "progress", progress }` (any number of times), then exactly one of
+ * `{ type: "done", result }` or `{ type: "error", error }`.
+ *
+ * @param {object} options
+ * @param {string|URL} options.file - Worker script.
+ * @param {number} [options.size=2] - Maximum number of workers.
+ */
+export function createWorkerPool({ file, size = 2 }) {
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+
+  function spawn() {
+    const worker = new Worker(file);
+    worker.task = null;
+
+    worker.on("message", (message) => {
+      const task = worker.task;
+      if (!task) return;
+      if (message.type === "progress") {
+        task.onProgress?.(message.progress);
+        return;
+      }
+
+      worker.task = null;
+      if (message.type === "done") task.resolve(message.result);
+      else task.reject(message.error);
+      idle.push(worker);
+      // Idle workers must not keep the process alive
+      worker.unref();
+      dispatch();
+    });
+
+    // An uncaught error ends the worker; fail its task and start afresh
+    worker.on("error", (err) => worker.task?.reject(err));
+    worker.on("exit", (code) => {
+      workers.delete(worker);
+      const i = idle.indexOf(worker);
+      if (i !== -1) idle.splice(i, 1);
+      worker.task?.reject(new Error(`Worker exited with code ${code}`));
+      worker.task = null;
+      dispatch();
+    });
+
+    workers.add(worker);
+    return worker;
+  }
+
+  function dispatch() {
+    while (queue.length > 0 && (idle.length > 0 || workers.size < size)) {
+      const worker = idle.pop() || spawn();
+      const task = queue.shift();
+      worker.task = task;
+      worker.ref();
+      task.onStart?.();
+      worker.postMessage(task.data);
+    }
+  }
+
+  /**
+   * Runs one task on the next free worker.
+   *
+   * @param {*} data - Message posted to the worker.
+   * @param {object} [hooks]
+   * @param {() => void} [hooks.onStart] - A worker has picked the task up.
+   * @param {(progress: object) => void} [hooks.onProgress]
+   * @returns {Promise<*>} The worker's result; rejects with the error it reported.
+   */
+  function run(data, { onStart, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      queue.push({ data, onStart, onProgress, resolve, reject });
+      dispatch();
+    });
+  }
+
+  return {
+    run,
+    get busy() {
+      return workers.size - idle.length;
+    },
+    get queued() {
+      return queue.length;
+    },
+  };
+}
+
+/**
+ * In-memory store of background jobs. A job runs an async function that
+ * resolves to the `{ status, body }` the synchronous endpoint would have sent;
+ * the body is kept for `ttlMs` after the job finishes, then dropped.
+ *
+ * @param {object} [options]
+ * @param {number} [options.ttlMs=30 minutes] - How long finished jobs are kept.
+ * @param {number} [options.maxQueued=Infinity] - Jobs that may wait to start at
+ *   once; check `full` before create().
+ */
+export function createJobStore({
+  ttlMs = 30 * 60 * 1000,
+  maxQueued = Infinity,
+} = {}) {
+  const jobs = new Map();
+
+  const expired = (job) =>
+    job.expires_at !== null && Date.parse(job.expires_at) <= Date.now();
+
+  const sweep = () => {
+    for (const [id, job] of jobs) if (expired(job)) jobs.delete(id);
+  };
+  setInterval(sweep, Math.min(ttlMs, 60 * 1000)).unref();
+
+  function finish(job, status, result, error) {
+    const now = Date.now();
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finished_at = new Date(now).toISOString();
+    job.expires_at = new Date(now + ttlMs).toISOString();
+  }
+
+  /**
+   * Starts a job.
+   *
+   * @param {(job: object) => Promise<{ status: number, body: object }>} run - Receives
+   *   `{ start(), update(progress), progress }`: call `start()` when work actually
+   *   begins (the job is "queued" until then) and `update()` to merge in progress.
+   * @param {object} [progress] - Initial progress fields, e.g. { files: 2 }.
+   * @returns {object} The job, as returned by get().
+   */
+  function create(run, progress = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      progress: { ...progress },
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      expires_at: null,
+      result: null,
+      error: null,
+    };
+    jobs.set(job.id, job);
+
+    const context = {
+      start() {
+        if (job.status !== "queued") return;
+        job.status = "running";
+        job.started_at = new Date().toISOString();
+      },
+      update(fields) {
+        Object.assign(job.progress, fields);
+      },
+      get progress() {
+        return job.progress;
+      },
+    };
+
+    Promise.resolve()
+      .then(() => run(context))
+      .then(({ status, body }) => {
+        if (status < 400) finish(job, "done", body, null);
+        else finish(job, "failed", body, body.error || body.message || null);
+      })
+      .catch((err) => {
+        console.error(`Job ${job.id} failed:`, err);
+        finish(job, "failed", null, err?.message || String(err));
+      });
+
+    return { ...job, progress: { ...job.progress } };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null} { id, status: "queued" | "running" | "done" | "failed", progress,
+   *   created_at, started_at, finished_at, expires_at, result, error } - null when unknown or
+   *   expired.
+   */
+  function get(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (expired(job)) {
+      jobs.delete(id);
+      return null;
+    }
+    return { ...job, progress: { ...job.progress } };
+  }
+
+  return {
+    create,
+    get,
+    // Jobs not yet started
+    get queued() {
+      let count = 0;
+      for (const job of jobs.values()) if (job.status === "queued") count++;
+      return count;
+    },
+    get full() {
+      return this.queued >= maxQueued;
+    },
+  };
+}
@@ -0,0 +1,342 @@
+/**
+ * @file merge.js
+ * @description Merges successive or overlapping parsed CAS statements of one investor into a single
+ * continuous transaction history, checking the open/close balance chain and reporting period gaps.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import {
+  daysBetween,
+  pairSwitches,
+  pledgeBalance,
+  round,
+  signedUnits,
+  toDate,
+  toISODate,
+} from "./transactions.js";
+
+// Unit balances are printed to 3 decimals
+const UNIT_TOLERANCE = 0.001;
+
+/**
+ * Folios of any CAS type in the detailed folio → schemes shape. Summary CAS rows
+ * become one-scheme folios with no transactions.
+ *
+ * @param {object} casData - Output of parseCAS().
+ * @returns {object[]}
+ */
+export function toDetailedFolios(casData) {
+  if (casData?.cas_type !== "SUMMARY") return casData?.folios || [];
+
+  return (casData.folios || []).map((f) => ({
+    folio: f.folio,
+    amc: f.amc,
+    PAN: null,
+    KYC: null,
+    PANKYC: null,
+    schemes: [
+      {
+        scheme: f.scheme,
+        isin: f.isin,
+        amfi: f.amfi ?? null,
+        ...(f.search_id !== undefined && { search_id: f.search_id }),
+        advisor: null,
+        rta_code: f.rta_code,
+        rta: f.rta,
+        nominees: [],
+        open: f.units,
+        close: f.units,
+        close_calculated: f.units,
+        valuation: {
+          date: toISODate(toDate(f.nav_date)),
+          nav: f.nav,
+          value: f.current_value,
+          cost: f.cost,
+        },
+        transactions: [],
+      },
+    ],
+  }));
+}
+
+// "910101234567 / 0" (KFintech) and "910101234567/0" (CAMS) are the same folio
+export const folioKey = (folio) =>
+  String(folio || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+// Folio numbers are only unique within an AMC; "HDFC Mutual Fund" and
+// "HDFC MUTUAL FUND" are the same AMC
+const amcKey = (amc) =>
+  String(amc || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "");
+
+// Identifies a folio across statements: its AMC and folio number
+export const amcFolioKey = (folio) =>
+  `${amcKey(folio.amc)}|${folioKey(folio.folio)}`;
+
+const schemeKey = (scheme) =>
+  scheme.isin || String(scheme.scheme || "").toUpperCase();
+
+// Folio and ISIN are implied by the scheme being merged
+const transactionKey = (tx) =>
+  [
+    tx.date,
+    tx.type,
+    round(Math.abs(tx.units || 0), 3),
+    round(Math.abs(tx.amount || 0), 2),
+  ].join("|");
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const byDate = (a, b) => compare(a.date, b.date);
+const byPeriodEnd = (a, b) => compare(a.period?.to || "", b.period?.to || "");
+
+function unitsBefore(scheme, isoDate) {
+  return (scheme.transactions || [])
+    .filter((tx) => tx.date < isoDate)
+    .reduce((units, tx) => units + signedUnits(tx), scheme.open || 0);
+}
+
+const dayBefore = (isoDate) => {
+  const d = toDate(isoDate);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return toISODate(d);
+};
+
+/**
+ * Merges copies of one scheme from several statements.
+ *
+ * Transactions are de-duplicated as a multiset: two identical SIP instalments on
+ * the same day in one statement both survive, but the same instalment seen in two
+ * overlapping statements is kept once.
+ *
+ * @param {object[]} copies - { scheme, index, period, detailed }, sorted by statement start.
+ * @returns {{ scheme: object, removed: number }}
+ */
+function mergeSchemeCopies(copies) {
+  // Summary/depository copies are snapshots with no history; they only supply
+  // the opening balance when no detailed copy exists
+  const withHistory = copies.filter((c) => c.detailed);
+  const first = (withHistory.length ? withHistory : copies)[0].scheme;
+  const last = [...copies].sort(byPeriodEnd)[copies.length - 1].scheme;
+
+  const kept = new Map();
+  const transactions = [];
+  let removed = 0;
+  for (const { scheme } of copies) {
+    const seenHere = new Map();
+    for (const tx of scheme.transactions || []) {
+      const key = transactionKey(tx);
+      const occurrence = (seenHere.get(key) || 0) + 1;
+      seenHere.set(key, occurrence);
+      if (occurrence <= (kept.get(key) || 0)) {
+        removed++;
+        continue;
+      }
+      kept.set(key, occurrence);
+      // A copy: switch pairing writes to the merged transactions, and the
+      // caller's statements must not change
+      transactions.push({ ...tx });
+    }
+  }
+  transactions.sort(byDate);
+
+  const open = first.open || 0;
+  const closeCalculated = transactions.reduce(
+    (units, tx) => units + signedUnits(tx),
+    open,
+  );
+
+  const scheme = {
+    ...last,
+    amfi: copies.map((c) => c.scheme.amfi).find(Boolean) || null,
+    open,
+    close_calculated: round(closeCalculated, 3),
+    transactions,
+  };
+  if (withHistory.length) Object.assign(scheme, pledgeBalance(scheme));
+  // Parse diagnostics describe one statement, not the merged history
+  delete scheme.diagnostics;
+
+  return { scheme, removed };
+}
+
+/**
+ * Checks that each statement's opening balance follows from the previous one.
+ * Overlapping statements are compared at the day before the later one starts;
+ * a gap between statements with a balance change means transactions are missing.
+ */
+function checkChain(copies, context, report) {
+  const detailed = copies.filter((c) => c.detailed);
+  for (let i = 1; i < detailed.length; i++) {
+    const prev = detailed[i - 1];
+    const next = detailed[i];
+    if (!prev.period.to || !next.period.from) continue;
+
+    const contiguous = dayBefore(next.period.from) <= prev.period.to;
+    let expected = prev.scheme.close || 0;
+    if (next.period.from <= (prev.period.from || "")) {
+      // Same start date, e.g. the same statement uploaded twice
+      expected = prev.scheme.open || 0;
+    } else if (contiguous) {
+      expected = unitsBefore(prev.scheme, next.period.from);
+    }
+    const actual = next.scheme.open || 0;
+    if (Math.abs(expected - actual) <= UNIT_TOLERANCE) continue;
+
+    report.chain_breaks.push({
+      ...context,
+      previous_statement: prev.index,
+      next_statement: next.index,
+      date: next.period.from,
+      expected_open: round(expected, 3),
+      actual_open: round(actual, 3),
+      difference: round(actual - expected, 3),
+      reason: contiguous ? "BALANCE_MISMATCH" : "ACTIVITY_IN_GAP",
+    });
+  }
+}
+
+/**
+ * Merges several parseCAS() results for one investor into one statement.
+ *
+ * @param {object[]} statements - parseCAS() results, in any order.
+ * @returns {object} A CAS-shaped object (`cas_type: "MERGED"`, detailed folio shape)
+ *   with a `merge_report`: { statements[], gaps[], chain_breaks[], balance_mismatches[],
+ *   duplicates_removed, merged_schemes[] }. Statement indexes refer to the input order.
+ */
+export function mergeStatements(statements) {
+  const ordered = statements
+    .map((data, index) => ({ data, index, period: data?.statement_period }))
+    .sort(
+      (a, b) =>
+        compare(a.period?.from || "", b.period?.from || "") ||
+        byPeriodEnd(a, b),
+    );
+
+  const report = {
+    statements: ordered.map(({ data, index }) => ({
+      index,
+      file_type: data?.file_type || null,
+      cas_type: data?.cas_type || null,
+      from: data?.statement_period?.from || null,
+      to: data?.statement_period?.to || null,
+    })),
+    gaps: [],
+    chain_breaks: [],
+    balance_mismatches: [],
+    duplicates_removed: 0,
+    merged_schemes: [],
+  };
+
+  // Periods not covered by any detailed statement
+  let coveredTo = null;
+  for (const s of report.statements.filter((s) => s.cas_type === "DETAILED")) {
+    if (!s.from || !s.to) continue;
+    if (coveredTo && dayBefore(s.from) > coveredTo) {
+      const from = toDate(coveredTo);
+      from.setUTCDate(from.getUTCDate() + 1);
+      const to = dayBefore(s.from);
+      report.gaps.push({
+        from: toISODate(from),
+        to,
+        days: daysBetween(from, toDate(to)) + 1,
+      });
+    }
+    if (!coveredTo || s.to > coveredTo) coveredTo = s.to;
+  }
+
+  const folios = new Map();
+  const demat = new Map();
+  for (const { data, index } of ordered) {
+    for (const folio of toDetailedFolios(data)) {
+      const fKey = amcFolioKey(folio);
+      if (!folios.has(fKey)) folios.set(fKey, { folio, schemes: new Map() });
+      const entry = folios.get(fKey);
+      // Keep the richest folio header (detailed statements carry PAN/KYC)
+      if (!entry.folio.PAN && folio.PAN) entry.folio = folio;
+
+      for (const scheme of folio.schemes || []) {
+        const sKey = schemeKey(scheme);
+        if (!entry.schemes.has(sKey)) entry.schemes.set(sKey, []);
+        entry.schemes.get(sKey).push({
+          scheme,
+          index,
+          period: data.statement_period || {},
+          detailed: data.cas_type === "DETAILED",
+        });
+      }
+    }
+
+    // Later statements replace earlier demat positions
+    for (const [type, rows] of Object.entries(data?.holdings || {})) {
+      for (const row of rows) {
+        demat.set(`${type}|${row.dp_id}|${row.client_id}|${row.isin}`, {
+          type,
+          row,
+        });
+      }
+    }
+  }
+
+  const mergedFolios = [...folios.values()].map(({ folio, schemes }) => ({
+    ...folio,
+    schemes: [...schemes.values()].map((copies) => {
+      const context = {
+        folio: folio.folio,
+        isin: copies[0].scheme.isin,
+        scheme: copies[0].scheme.scheme,
+      };
+
+      if (copies.length > 1) {
+        report.merged_schemes.push({
+          ...context,
+          statements: copies.map((c) => c.index),
+        });
+        checkChain(copies, context, report);
+      }
+
+      const { scheme, removed } = mergeSchemeCopies(copies);
+      report.duplicates_removed += removed;
+
+      if (
+        copies.some((c) => c.detailed) &&
+        Math.abs(scheme.close_calculated - (scheme.close || 0)) > UNIT_TOLERANCE
+      ) {
+        report.balance_mismatches.push({
+          ...context,
+          open: scheme.open,
+          close: scheme.close,
+          close_calculated: scheme.close_calculated,
+        });
+      }
+      return scheme;
+    }),
+  }));
+
+  // Switch legs may come from different statements
+  mergedFolios.forEach(pairSwitches);
+
+  const holdings = { equities: [], etfs: [], bonds: [] };
+  for (const { type, row } of demat.values()) {
+    (holdings[type] ||= []).push(row);
+  }
+
+  const froms = report.statements.map((s) => s.from).filter(Boolean);
+  const tos = report.statements.map((s) => s.to).filter(Boolean);
+  const latest = [...ordered].sort(byPeriodEnd)[ordered.length - 1]?.data;
+
+  return {
+    statement_period: {
+      from: froms.sort()[0] || null,
+      to: tos.sort()[tos.length - 1] || null,
+    },
+    file_type: latest?.file_type || null,
+    cas_type: "MERGED",
+    investor_info: latest?.investor_info || {},
+    folios: mergedFolios,
+    holdings,
+    merge_report: report,
+  };
+}
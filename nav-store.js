@@ -0,0 +1,127 @@
+/**
+ * @file nav-store.js
+ * @description Server-side NAV time-series store keyed by scheme code. Seeds each scheme with its
+ * full mfapi.in history once, then tops it up incrementally after every NAV publication.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import {
+  createFileBackend,
+  createMemoryBackend,
+  createTieredBackend,
+  nextNavRefresh,
+} from "./cache.js";
+import { toDate, toISODate } from "./transactions.js";
+
+// mfapi dates are DD-MM-YYYY; the store keeps ISO so ranges sort as strings
+const toMfapiDate = (iso) => iso.split("-").reverse().join("-");
+const fromMfapiDate = (date) => toISODate(toDate(date));
+
+/**
+ * @param {object} options
+ * @param {(schemeCode: string) => Promise<object|null>} options.fetchHistory - Full mfapi
+ *   history ({ meta, data: [{ date, nav }] }), null on failure.
+ * @param {(schemeCode: string, startDate: string) => Promise<object|null>} options.fetchSince -
+ *   mfapi history from startDate (DD-MM-YYYY, inclusive), null on failure.
+ * @param {object} [options.backend] - Storage backend (see cache.js). Defaults to a memory LRU
+ *   in front of JSON files in NAV_STORE_DIR (".nav-store").
+ */
+export function createNavStore({ fetchHistory, fetchSince, backend } = {}) {
+  const store =
+    backend ||
+    createTieredBackend([
+      createMemoryBackend({ maxEntries: 100 }),
+      createFileBackend({ dir: process.env.NAV_STORE_DIR || ".nav-store" }),
+    ]);
+  const inFlight = new Map();
+
+  // mfapi rows → ascending [isoDate, nav] tuples, merged over what we already hold
+  function merge(existing, rows) {
+    const byDate = new Map(existing);
+    for (const row of rows || []) {
+      const iso = fromMfapiDate(row.date);
+      if (iso && row.nav !== undefined) byDate.set(iso, row.nav);
+    }
+    return [...byDate.entries()].sort((a, b) => (a[0] < b[0] ? -1 : 1));
+  }
+
+  async function sync(schemeCode) {
+    const key = `nav:${schemeCode}`;
+    const stored = await store.get(key);
+    if (stored && Date.now() < stored.next_sync_at) {
+      return { series: stored, status: "hit" };
+    }
+
+    let series;
+    if (!stored || stored.data.length === 0) {
+      const history = await fetchHistory(schemeCode);
+      if (!history?.data?.length) return { series: null, status: "miss" };
+      series = {
+        scheme_code: String(schemeCode),
+        meta: history.meta || {},
+        data: merge([], history.data),
+      };
+    } else {
+      // startDate is inclusive, so the last stored day overlaps and any restated NAV wins
+      const lastDate = stored.data[stored.data.length - 1][0];
+      const update = await fetchSince(schemeCode, toMfapiDate(lastDate));
+      if (!update) return { series: stored, status: "stale" };
+      series = {
+        ...stored,
+        meta: update.meta || stored.meta,
+        data: merge(stored.data, update.data),
+      };
+    }
+
+    const now = new Date();
+    series.synced_at = now.toISOString();
+    series.next_sync_at = nextNavRefresh(now).getTime();
+    await store.set(key, series);
+    return { series, status: "miss" };
+  }
+
+  // One sync per scheme at a time; concurrent readers share it
+  function load(schemeCode) {
+    const code = String(schemeCode);
+    if (inFlight.has(code)) return inFlight.get(code);
+    const promise = sync(code).finally(() => inFlight.delete(code));
+    inFlight.set(code, promise);
+    return promise;
+  }
+
+  /**
+   * NAV history for a scheme in mfapi shape (newest first, DD-MM-YYYY dates),
+   * optionally limited to [from, to].
+   *
+   * @param {string|number} schemeCode
+   * @param {object} [range]
+   * @param {string} [range.from] - DD-MM-YYYY or YYYY-MM-DD, inclusive.
+   * @param {string} [range.to] - DD-MM-YYYY or YYYY-MM-DD, inclusive.
+   * @returns {Promise<object|null>} { scheme_code, meta, synced_at, status, data } or null
+   *   when mfapi has no history for the scheme.
+   */
+  async function getHistory(schemeCode, { from, to } = {}) {
+    const { series, status } = await load(schemeCode);
+    if (!series) return null;
+
+    const fromIso = from ? toISODate(toDate(from)) : null;
+    const toIso = to ? toISODate(toDate(to)) : null;
+    const data = [];
+    for (let i = series.data.length - 1; i >= 0; i--) {
+      const [iso, nav] = series.data[i];
+      if (toIso && iso > toIso) continue;
+      if (fromIso && iso < fromIso) break;
+      data.push({ date: toMfapiDate(iso), nav });
+    }
+
+    return {
+      scheme_code: series.scheme_code,
+      meta: series.meta,
+      synced_at: series.synced_at,
+      status,
+      data,
+    };
+  }
+
+  return { getHistory };
+}
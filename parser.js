@@ -4,6 +4,15 @@
  * @author Pabitra Swain - https://github.com/the-sdet
  * @license MIT
  */
+import { AppError } from "./errors.js";
+import { redactCAS } from "./redact.js";
+import {
+  pairSwitches,
+  pledgeBalance,
+  round,
+  signedUnits,
+} from "./transactions.js";
+
 // ── Shared AMC registry ─────────────────────────────────────────────────────
 // Single source of truth used by both the Detailed and Summary parsers.
 const AMC_LIST = [
@@ -66,37 +75,221 @@ const AMC_LOWER_MAP = new Map(AMC_LIST.map((amc) => [amc.toLowerCase(), amc]));
 
 // ────────────────────────────────────────────────────────────────────────────
 
-export function parseCAS(text) {
+/**
+ * @param {string} text - Text extracted from the CAS PDF.
+ * @param {object} [options]
+ * @param {boolean} [options.verbose=false] - Also return `warnings[]`: every line the parser
+ *   ignored or could not understand, with page, line number, reason code and surrounding scheme.
+ * @param {string} [options.redact] - "pii" to replace PAN, contact details, names, nominees and
+ *   folio numbers with tokens - see redactCAS().
+ * @param {string} [options.redactSalt] - Salt for the redaction tokens.
+ * @throws {AppError} NOT_A_CAS when the text is not a CAS, UNSUPPORTED_CAS_FORMAT when it is
+ *   one in a layout the parser does not know.
+ */
+export function parseCAS(text, options = {}) {
   // Input validation
-  if (!text || typeof text !== "string") {
+  if (typeof text !== "string") {
     throw new Error("Invalid input: text must be a non-empty string");
   }
+  if (!text.trim()) {
+    throw new AppError(
+      "NOT_A_CAS",
+      "The PDF has no text - it may be a scanned image",
+    );
+  }
+
+  const log = options.verbose ? createWarningLog(text) : null;
 
-  // Detect CAS type
-  const casType = detectCASType(text);
+  // Detect CAS type and issuing RTA
+  const { fileType, casType } = detectCASType(text);
 
-  if (casType === "SUMMARY") {
-    return parseSummaryCAS(text);
+  let result;
+  if (casType === "DEPOSITORY") {
+    result = parseDepositoryCAS(text, fileType, log);
+  } else if (casType === "SUMMARY") {
+    result = parseSummaryCAS(text, fileType, log);
+  } else if (fileType === "KFINTECH") {
+    result = parseKFintechCAS(text, log);
   } else {
-    return parseDetailedCAS(text);
+    result = parseDetailedCAS(text, log);
+  }
+
+  if (log) result.warnings = log.warnings;
+  return applyRedaction(result, options);
+}
+
+function applyRedaction(result, options) {
+  return options.redact
+    ? redactCAS(result, { mode: options.redact, salt: options.redactSalt })
+    : result;
+}
+
+// Pages buffered before deciding the CAS type; the type, period and investor
+// details are all on the first pages
+const HEAD_PAGES = 2;
+
+/**
+ * Streaming counterpart of parseCAS() for text that arrives one line at a time,
+ * e.g. straight from the PDF reader. Once the first pages identify a detailed
+ * statement, lines go through the parser as they arrive and are not kept, so
+ * memory stays flat however many years the statement covers. Summary and
+ * depository statements are short; they are buffered and parsed at the end.
+ *
+ * @param {object} [options] - As for parseCAS().
+ * @returns {{ push: (line: string) => void, end: () => object, lines: number }}
+ *   `push()` each line in order, then `end()` returns what parseCAS() would. Both throw
+ *   parseCAS()'s errors; `push()` as soon as the first pages show the text is not a CAS.
+ */
+export function createCASParser(options = {}) {
+  let head = [];
+  let parser = null;
+  let log = null;
+  let decided = false;
+  let index = 0;
+
+  // Detailed statements switch to line-by-line parsing from here on
+  function start() {
+    decided = true;
+    const text = head.join("\n");
+    const { fileType, casType } = detectCASType(text);
+    if (casType !== "DETAILED") return;
+
+    log = options.verbose ? createWarningLog(text) : null;
+    parser =
+      fileType === "KFINTECH"
+        ? createKFintechParser(text, log)
+        : createDetailedParser(text, log);
+    head.forEach((line) => parser.push(line));
+    head = null;
   }
+
+  return {
+    push(line) {
+      if (parser) {
+        log?.track(index, line);
+        parser.push(line);
+      } else {
+        head.push(line);
+        const marker = decided ? null : line.trim().match(PAGE_MARKER);
+        if (marker && Number(marker[1]) > HEAD_PAGES) start();
+      }
+      index++;
+    },
+    end() {
+      if (!decided && head.join("").trim()) start();
+      if (!parser) return parseCAS(head.join("\n"), options);
+
+      const result = parser.end();
+      if (log) result.warnings = log.warnings;
+      return applyRedaction(result, options);
+    },
+    get lines() {
+      return index;
+    },
+  };
 }
 
 function detectCASType(text) {
-  // Check for "Consolidated Account Summary" vs "Consolidated Account Statement"
+  // Depository (NSDL/CDSL) statements are organised by demat account, not folio
+  const depository = detectDepository(text);
+  if (depository) return { fileType: depository, casType: "DEPOSITORY" };
+
+  // Check for "Consolidated Account Summary" vs "Consolidated Account Statement";
+  // a detailed statement may only carry the RTA watermark
+  let casType = null;
   if (text.includes("Consolidated Account Summary")) {
-    return "SUMMARY";
-  } else if (text.includes("Consolidated Account Statement")) {
-    return "DETAILED";
+    casType = "SUMMARY";
+  } else if (
+    /Consolidated\s+Account\s+Statement|CAMSCASWS|KFINCASWS/i.test(text)
+  ) {
+    casType = "DETAILED";
+  }
+  if (!casType) {
+    throw new AppError(
+      "NOT_A_CAS",
+      "The PDF is not a Consolidated Account Statement",
+    );
+  }
+
+  return { fileType: detectFileType(text), casType };
+}
+
+function detectDepository(text) {
+  // Require a demat account header as well as the issuer name, since MF
+  // statements can mention NSDL/CDSL in passing (e.g. demat scheme notes).
+  const hasDematAccount =
+    /(?:NSDL|CDSL)\s+Demat\s+Account/i.test(text) ||
+    /DP\s*ID\s*:.*Client\s*ID\s*:/i.test(text) ||
+    /BO\s*ID\s*:\s*\d{16}/i.test(text);
+  if (!hasDematAccount) return null;
+
+  if (
+    /National\s+Securities\s+Depository/i.test(text) ||
+    /NSDL\s+Consolidated\s+Account\s+Statement/i.test(text)
+  ) {
+    return "NSDL";
+  }
+  if (
+    /Central\s+Depository\s+Services/i.test(text) ||
+    /CDSL\s+Consolidated\s+Account\s+Statement/i.test(text)
+  ) {
+    return "CDSL";
+  }
+  return null;
+}
+
+function detectFileType(text) {
+  // Both RTAs stamp their statements with a watermark id; trust it when present.
+  // Scheme lines in either statement can say "Registrar : KFINTECH", so the
+  // registrar name alone is not a reliable signal.
+  if (text.includes("CAMSCASWS")) return "CAMS";
+  if (
+    text.includes("KFINCASWS") ||
+    /KFin\s*Technologies\s+(?:Ltd|Limited)/i.test(text) ||
+    /Karvy\s+Fintech/i.test(text)
+  ) {
+    return "KFINTECH";
+  }
+
+  // KFintech puts PAN on the folio header line ("Folio No: X PAN: Y"),
+  // whereas CAMS prints a standalone PAN line above the scheme line.
+  if (/^\s*Folio No\s*:.*PAN\s*:/m.test(text)) return "KFINTECH";
+
+  return "CAMS";
+}
+
+function parseInvestorInfo(text) {
+  const investorInfo = {
+    email: null,
+    name: null,
+    mobile: null,
+    address: null,
+  };
+
+  const emailMatch = text.match(/Email Id:\s*([^\n]+)/);
+  if (emailMatch) investorInfo.email = emailMatch[1].trim();
+
+  const mobileMatch = text.match(/Mobile:\s*(\+?\d+)/);
+  if (mobileMatch) investorInfo.mobile = mobileMatch[1];
+
+  // Name and address
+  const nameAddrMatch = text.match(/Email Id:[^\n]*\n([\s\S]+?)Mobile:/);
+  if (nameAddrMatch) {
+    const lines = nameAddrMatch[1]
+      .split("\n")
+      .map((l) => l.trim())
+      .filter((l) => l);
+    investorInfo.name = lines[0] || "";
+    investorInfo.address = lines.slice(1).join(", ");
   }
-  // Default to detailed if can't determine
-  return "DETAILED";
+
+  return investorInfo;
 }
 
-function parseSummaryCAS(text) {
+function parseSummaryCAS(text, fileType = "CAMS", log = null) {
   const result = {
     statement_period: { from: null, to: null },
-    file_type: "CAMS",
+    file_type: fileType,
     cas_type: "SUMMARY",
     investor_info: {
       email: null,
@@ -117,22 +310,7 @@ function parseSummaryCAS(text) {
   }
 
   // Extract investor info
-  const emailMatch = text.match(/Email Id:\s*([^\n]+)/);
-  if (emailMatch) result.investor_info.email = emailMatch[1].trim();
-
-  const mobileMatch = text.match(/Mobile:\s*(\+?\d+)/);
-  if (mobileMatch) result.investor_info.mobile = mobileMatch[1];
-
-  // Name and address
-  const nameAddrMatch = text.match(/Email Id:[^\n]*\n([\s\S]+?)Mobile:/);
-  if (nameAddrMatch) {
-    const lines = nameAddrMatch[1]
-      .split("\n")
-      .map((l) => l.trim())
-      .filter((l) => l);
-    result.investor_info.name = lines[0] || "";
-    result.investor_info.address = lines.slice(1).join(", ");
-  }
+  result.investor_info = parseInvestorInfo(text);
 
   const lines = text.split(/\r?\n/);
 
@@ -143,29 +321,32 @@ function parseSummaryCAS(text) {
   const endIndex = lines.findIndex((l) => l.startsWith("Total "));
 
   if (startIndex === -1 || endIndex === -1) {
-    throw new Error("Could not find summary section boundaries");
+    throw new AppError(
+      "UNSUPPORTED_CAS_FORMAT",
+      "Could not find summary section boundaries",
+    );
   }
 
   const section = lines
     .slice(startIndex + 1, endIndex)
-    .map((l) => l.trim())
-    .filter(Boolean);
+    .map((l, offset) => ({ text: l.trim(), index: startIndex + 1 + offset }))
+    .filter((l) => l.text);
   const totalLine = lines[endIndex];
   const totalMatch = totalLine.match(/^Total\s+([\d,]+\.\d+)\s+([\d,]+\.\d+)/);
 
   result.current_value = parseFloat((totalMatch?.[1] ?? 0).replace(/,/g, ""));
   result.cost = parseFloat((totalMatch?.[2] ?? 0).replace(/,/g, ""));
   // Parse summary holdings
-  result.folios = parseSummaryHoldings(section);
+  result.folios = parseSummaryHoldings(section, log);
 
   return result;
 }
 
-function parseSummaryHoldings(section) {
+function parseSummaryHoldings(section, log = null) {
   const folios = [];
   for (let i = 0; i < section.length - 1; i++) {
-    const line1 = section[i];
-    const line2 = section[i + 1];
+    const line1 = section[i].text;
+    const line2 = section[i + 1].text;
 
     //Folio line must start with a number (folio no.)
     if (!/^\d/.test(line1)) continue;
@@ -174,7 +355,10 @@ function parseSummaryHoldings(section) {
     const line1Match = line1.match(
       /^(\S+)\s+([\d,]+\.\d+)\s+([A-Z0-9\s]+?)\s+-\s+(.+)$/,
     );
-    if (!line1Match) continue;
+    if (!line1Match) {
+      log?.add(section[i].index, "SUMMARY_ROW_UNMATCHED");
+      continue;
+    }
 
     const [, folio, current_value, rta_code, scheme] = line1Match;
 
@@ -182,7 +366,13 @@ function parseSummaryHoldings(section) {
     const line2Match = line2.match(
       /^([\d,]+\.\d+)\s+(\d{2}-[A-Za-z]{3}-\d{4})\s+([\d,.]+)\s+(\S+)\s+(\S+)\s+([\d,]+\.\d+)$/,
     );
-    if (!line2Match) continue;
+    if (!line2Match) {
+      log?.add(section[i + 1].index, "SUMMARY_DETAIL_UNMATCHED", {
+        folio,
+        scheme: scheme.trim(),
+      });
+      continue;
+    }
 
     const [, units, nav_date, nav, rta, isin, cost] = line2Match;
 
@@ -261,7 +451,25 @@ function determineAMCFromSchemeName(schemeName) {
   return bestScore > 0.6 ? bestAMC : "Unknown AMC";
 }
 
-function parseDetailedCAS(text) {
+// Feeds a whole extracted text through a streaming statement parser
+function parseLines(parser, text) {
+  for (const line of text.split("\n")) parser.push(line);
+  return parser.end();
+}
+
+function parseDetailedCAS(text, log = null) {
+  return parseLines(createDetailedParser(text, log), text);
+}
+
+/**
+ * Statement parser for a CAMS detailed CAS. The statement period and investor
+ * details are read from `headText` (the first pages carry them); the body is then
+ * pushed one line at a time, so the whole statement never has to be in memory.
+ *
+ * @param {string} headText - Start of the extracted text.
+ * @returns {{ push: (line: string) => void, end: () => object }}
+ */
+function createDetailedParser(headText, log = null) {
   const result = {
     statement_period: { from: null, to: null },
     file_type: "CAMS",
@@ -276,7 +484,7 @@ function parseDetailedCAS(text) {
   };
 
   // Extract statement period
-  const periodMatch = text.match(
+  const periodMatch = headText.match(
     /(\d{2}-[A-Z][a-z]{2}-\d{4})\s+To\s+(\d{2}-[A-Z][a-z]{2}-\d{4})/,
   );
   if (periodMatch) {
@@ -285,40 +493,41 @@ function parseDetailedCAS(text) {
   }
 
   // Extract investor info
-  const emailMatch = text.match(/Email Id:\s*([^\n]+)/);
-  if (emailMatch) result.investor_info.email = emailMatch[1].trim();
-
-  const mobileMatch = text.match(/Mobile:\s*(\+?\d+)/);
-  if (mobileMatch) result.investor_info.mobile = mobileMatch[1];
-
-  // Name and address
-  const nameAddrMatch = text.match(/Email Id:[^\n]*\n([\s\S]+?)Mobile:/);
-  if (nameAddrMatch) {
-    const lines = nameAddrMatch[1]
-      .split("\n")
-      .map((l) => l.trim())
-      .filter((l) => l);
-    result.investor_info.name = lines[0] || "";
-    result.investor_info.address = lines.slice(1).join(", ");
-  }
+  result.investor_info = parseInvestorInfo(headText);
 
   // Parse folios line by line
-  result.folios = parseLineByLine(text);
+  const unparsedHeaders = [];
+  const lines = createLineParser(unparsedHeaders, log);
 
-  return result;
+  return {
+    push: lines.push,
+    end() {
+      result.folios = lines.end();
+      result.folios.forEach(pairSwitches);
+      result.diagnostics = summariseDiagnostics(result.folios, unparsedHeaders);
+      return result;
+    },
+  };
 }
 
-function parseLineByLine(text) {
-  const lines = text.split("\n");
+/**
+ * Line-at-a-time state machine over the body of a CAMS detailed statement.
+ * `push()` takes each line of the extracted text in order; `end()` returns the folios.
+ */
+function createLineParser(unparsedHeaders = [], log = null) {
   const folios = [];
+  let i = -1;
 
   let currentAMC = null;
   let currentScheme = null;
   let currentFolio = null;
+  let skippedLines = [];
   let collectingTransactions = false;
   let expectingFolio = false;
   let expectingName = false;
   let expectingNominee = false;
+  // PAN line seen; scheme info follows and may wrap over several lines
+  let pendingHeader = null;
 
   // Use shared module-level AMC_LOWER_MAP for fast prefix matching
   const amcLowerMap = AMC_LOWER_MAP;
@@ -337,9 +546,68 @@ function parseLineByLine(text) {
     marketValue: /Market Value on \d{2}-[A-Z][a-z]{2}-\d{4}:\s*INR\s*([\d,.]+)/,
   };
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
+  const failHeader = () => {
+    const { index, text } = pendingHeader;
+    pendingHeader = null;
+    unparsedHeaders.push({ line: index + 1, text: text || "" });
+    log?.add(index, "UNPARSED_SCHEME_HEADER");
+  };
+
+  // The line(s) after a PAN line are scheme info. The ISIN may wrap to the next
+  // line, so keep appending until it parses. Returns false when the line is not
+  // part of the header and should be handled as usual.
+  function readSchemeHeader(line) {
+    if (pendingHeader.text === null) {
+      pendingHeader.text = line;
+    } else if (
+      // Stop if we hit a "Folio No:" line or another PAN line or empty line
+      !line ||
+      line.startsWith("Folio No:") ||
+      PATTERNS.panLine.test(line)
+    ) {
+      failHeader();
+      return false;
+    } else {
+      pendingHeader.text += " " + line;
+    }
+    pendingHeader.index = i;
+
+    const schemeInfo = parseSchemeInfo(pendingHeader.text);
+    if (!schemeInfo) return true;
+
+    const { pan, kyc, pankyc } = pendingHeader;
+    pendingHeader = null;
+    currentScheme = {
+      scheme: schemeInfo.name,
+      isin: schemeInfo.isin,
+      amfi: null,
+      advisor: schemeInfo.advisor,
+      rta_code: schemeInfo.rtaCode,
+      rta: schemeInfo.rta,
+      nominees: [],
+      open: 0,
+      close: 0,
+      close_calculated: 0,
+      valuation: { date: null, nav: 0, value: 0, cost: 0 },
+      transactions: [],
+    };
+
+    // Store PAN/KYC for when we create folio
+    currentScheme._tempPAN = pan;
+    currentScheme._tempKYC = kyc;
+    currentScheme._tempPANKYC = pankyc;
+
+    skippedLines = [];
+    expectingFolio = true;
+    collectingTransactions = false;
+    return true;
+  }
+
+  function push(rawLine) {
+    i++;
+    const line = rawLine.trim();
+    if (pendingHeader && readSchemeHeader(line)) return;
+    if (!line) return;
 
     const lineLower = line.toLowerCase();
 
@@ -354,7 +622,7 @@ function parseLineByLine(text) {
 
     if (foundAMC) {
       currentAMC = foundAMC;
-      continue;
+      return;
     }
 
     // Check for PAN/KYC line - indicates new scheme
@@ -364,64 +632,17 @@ function parseLineByLine(text) {
 
       // Extract PAN/KYC info
       const panMatch = line.match(PATTERNS.pan);
-      const pan = panMatch ? panMatch[1] : null;
-
       const kycMatch = line.match(PATTERNS.kyc);
-      const kyc = kycMatch ? kycMatch[1].replace(/\s+/g, " ") : null;
-
       const pankycMatch = line.match(PATTERNS.pankyc);
-      const pankyc = pankycMatch ? pankycMatch[1].replace(/\s+/g, " ") : null;
-
-      // Next line(s) should be scheme info - may span multiple lines
-      // This handles cases where ISIN code wraps to the next line
-      i++;
-      let schemeLine = lines[i].trim();
-
-      // Try to parse, if it fails (incomplete ISIN), keep appending next lines
-      let schemeInfo = parseSchemeInfo(schemeLine);
-      let nextLineIndex = i + 1;
-
-      while (!schemeInfo && nextLineIndex < lines.length) {
-        const nextLine = lines[nextLineIndex].trim();
-        // Stop if we hit a "Folio No:" line or another PAN line or empty line
-        if (
-          !nextLine ||
-          nextLine.startsWith("Folio No:") ||
-          PATTERNS.panLine.test(nextLine)
-        ) {
-          break;
-        }
-        schemeLine += " " + nextLine;
-        schemeInfo = parseSchemeInfo(schemeLine);
-        i = nextLineIndex;
-        nextLineIndex++;
-      }
-
-      if (schemeInfo) {
-        currentScheme = {
-          scheme: schemeInfo.name,
-          isin: schemeInfo.isin,
-          amfi: null,
-          advisor: schemeInfo.advisor,
-          rta_code: schemeInfo.rtaCode,
-          rta: schemeInfo.rta,
-          nominees: [],
-          open: 0,
-          close: 0,
-          close_calculated: 0,
-          valuation: { date: null, nav: 0, value: 0, cost: 0 },
-          transactions: [],
-        };
-
-        // Store PAN/KYC for when we create folio
-        currentScheme._tempPAN = pan;
-        currentScheme._tempKYC = kyc;
-        currentScheme._tempPANKYC = pankyc;
 
-        expectingFolio = true;
-        collectingTransactions = false;
-      }
-      continue;
+      pendingHeader = {
+        pan: panMatch ? panMatch[1] : null,
+        kyc: kycMatch ? kycMatch[1].replace(/\s+/g, " ") : null,
+        pankyc: pankycMatch ? pankycMatch[1].replace(/\s+/g, " ") : null,
+        text: null,
+        index: i,
+      };
+      return;
     }
 
     // Check for Folio No
@@ -448,7 +669,7 @@ function parseLineByLine(text) {
 
       expectingFolio = false;
       expectingName = true;
-      continue;
+      return;
     }
 
     // Check for holder name
@@ -462,7 +683,7 @@ function parseLineByLine(text) {
       // This is the holder name, we can skip it
       expectingName = false;
       expectingNominee = true;
-      continue;
+      return;
     }
 
     // Check for Nominee line
@@ -481,7 +702,7 @@ function parseLineByLine(text) {
       currentScheme.nominees = nominees;
 
       expectingNominee = false;
-      continue;
+      return;
     }
 
     // Check for Opening Unit Balance
@@ -491,7 +712,7 @@ function parseLineByLine(text) {
         currentScheme.open = parseFloat(match[1].replace(/,/g, ""));
         collectingTransactions = true;
       }
-      continue;
+      return;
     }
 
     // Check for Closing Unit Balance
@@ -499,8 +720,10 @@ function parseLineByLine(text) {
       const match = line.match(PATTERNS.closingBalance);
       if (match) {
         currentScheme.close = parseFloat(match[1].replace(/,/g, ""));
-        currentScheme.close_calculated = parseFloat(match[1].replace(/,/g, ""));
       }
+      linkReversals(currentScheme);
+      reconcileScheme(currentScheme, skippedLines);
+      Object.assign(currentScheme, pledgeBalance(currentScheme));
 
       const costMatch = line.match(PATTERNS.costValue);
       if (costMatch) {
@@ -517,12 +740,17 @@ function parseLineByLine(text) {
         delete currentScheme._tempPANKYC;
 
         currentFolio.schemes.push(currentScheme);
+      } else {
+        log?.add(i, "SCHEME_WITHOUT_FOLIO", {
+          isin: currentScheme.isin,
+          scheme: currentScheme.scheme,
+        });
       }
 
       collectingTransactions = false;
       currentScheme = null;
       currentFolio = null;
-      continue;
+      return;
     }
 
     // Check for NAV line
@@ -539,7 +767,7 @@ function parseLineByLine(text) {
           valueMatch[1].replace(/,/g, ""),
         );
       }
-      continue;
+      return;
     }
 
     // Collect transactions
@@ -555,12 +783,25 @@ function parseLineByLine(text) {
         const tx = parseTransactionLine(line);
         if (tx) {
           currentScheme.transactions.push(tx);
+        } else {
+          const reason = skipReason(line);
+          skippedLines.push({ line: i + 1, text: line, reason });
+          log?.add(i, reason, {
+            folio: currentFolio?.folio,
+            isin: currentScheme.isin,
+            scheme: currentScheme.scheme,
+          });
         }
       }
     }
   }
 
-  return folios;
+  function end() {
+    if (pendingHeader) failHeader();
+    return folios;
+  }
+
+  return { push, end };
 }
 
 function parseSchemeInfo(line) {
@@ -625,6 +866,7 @@ function parseTransactionLine(line) {
         nav: 0,
         balance: 0,
         type: "STAMP_DUTY_TAX",
+        subtype: null,
       };
     }
   }
@@ -641,10 +883,38 @@ function parseTransactionLine(line) {
         nav: 0,
         balance: 0,
         type: "STT_TAX",
+        subtype: null,
+      };
+    }
+  }
+
+  // Handle TDS withheld on redemptions and IDCW payouts
+  if (line.includes("***") && /\bTDS\b/.test(line)) {
+    const parts = line.split(/\s+/);
+    if (parts.length >= 2 && /^\d{2}-[A-Z][a-z]{2}-\d{4}$/.test(parts[0])) {
+      return {
+        date: convertDate(parts[0]),
+        description: "TDS",
+        amount: parseFloat(parts[1].replace(/,/g, "")),
+        units: 0,
+        nav: 0,
+        balance: 0,
+        type: "TDS_TAX",
+        subtype: null,
       };
     }
   }
 
+  // IDCW payouts print an amount but no NAV, units or balance
+  if (DIVIDEND_ROW.test(line)) {
+    const payout = parseDividendPayoutLine(line);
+    if (payout) return payout;
+  }
+
+  // Pledge and lien rows only carry units
+  const pledgeEvent = parsePledgeLine(line);
+  if (pledgeEvent) return pledgeEvent;
+
   // Early exit for non-transaction lines
   const skipPatterns = [
     "***",
@@ -693,6 +963,7 @@ function parseTransactionLine(line) {
     return null;
   }
 
+  const type = determineTransactionType(description, unitsStr);
   return {
     date: convertDate(date),
     description: description,
@@ -700,43 +971,1096 @@ function parseTransactionLine(line) {
     units: units,
     nav: nav,
     balance: balance,
-    type: determineTransactionType(description, unitsStr),
+    type,
+    subtype: determineSubtype(type, description),
   };
 }
 
-function determineTransactionType(desc, unitStr) {
-  const d = desc.toLowerCase();
+// ── KFintech Detailed CAS ───────────────────────────────────────────────────
+// KFintech statements differ from CAMS in three places:
+//   1. The folio header carries PAN/KYC on the same line ("Folio No: X PAN: Y KYC: OK PAN: OK")
+//      and precedes the scheme line instead of following it.
+//   2. The scheme line reads "RTA_CODE-Scheme Name (Advisor: ARN) ISIN: CODE Registrar : KFINTECH".
+//   3. Transaction columns are DATE DESCRIPTION AMOUNT UNITS PRICE BALANCE.
+// The output shape is identical to parseDetailedCAS so clients need not care which RTA issued the file.
 
-  // Check for redemption first (including reversed purchases)
-  if (
-    /purchase[-\s]*reversed|systematic investment purchase[-\s]*reversed|redemption|reversal|cheque[-\s]*dishonoured|collection[-\s]*dishonoured/i.test(
-      d,
-    )
-  ) {
-    return "REDEMPTION";
+function parseKFintechCAS(text, log = null) {
+  return parseLines(createKFintechParser(text, log), text);
+}
+
+// Streaming counterpart for KFintech statements, see createDetailedParser()
+function createKFintechParser(headText, log = null) {
+  const result = {
+    statement_period: { from: null, to: null },
+    file_type: "KFINTECH",
+    cas_type: "DETAILED",
+    investor_info: {
+      email: null,
+      name: null,
+      mobile: null,
+      address: null,
+    },
+    folios: [],
+  };
+
+  // Extract statement period
+  const periodMatch = headText.match(
+    /(\d{2}-[A-Z][a-z]{2}-\d{4})\s+To\s+(\d{2}-[A-Z][a-z]{2}-\d{4})/i,
+  );
+  if (periodMatch) {
+    result.statement_period.from = convertDate(periodMatch[1]);
+    result.statement_period.to = convertDate(periodMatch[2]);
   }
 
-  // Check for purchase
-  if (
-    /purchase|systematic investment|sys investment|sys. investment/i.test(d)
-  ) {
-    return "PURCHASE";
+  // Extract investor info
+  result.investor_info = parseInvestorInfo(headText);
+
+  // Parse folios line by line
+  const unparsedHeaders = [];
+  const lines = createKFintechLineParser(unparsedHeaders, log);
+
+  return {
+    push: lines.push,
+    end() {
+      result.folios = lines.end();
+      result.folios.forEach(pairSwitches);
+      result.diagnostics = summariseDiagnostics(result.folios, unparsedHeaders);
+      return result;
+    },
+  };
+}
+
+/**
+ * Line-at-a-time state machine over the body of a KFintech detailed statement,
+ * the counterpart of createLineParser().
+ */
+function createKFintechLineParser(unparsedHeaders = [], log = null) {
+  const folios = [];
+  let i = -1;
+
+  let currentAMC = null;
+  let currentFolio = null;
+  let currentScheme = null;
+  let lastClosedScheme = null;
+  let skippedLines = [];
+  let folioNominees = [];
+  let collectingTransactions = false;
+  let expectingName = false;
+  // Scheme line whose ISIN has not been completed by the following line(s) yet
+  let pendingHeader = null;
+
+  const PATTERNS = {
+    date: /^\d{2}-[A-Z][a-z]{2}-\d{4}$/,
+    folioHeader: /^Folio\s*No\s*:\s*(.+?)(?=\s+PAN\s*:|$)/,
+    pan: /PAN\s*:\s*([A-Z]{5}\d{4}[A-Z])/,
+    kyc: /KYC\s*:\s*(OK|NOT\s*OK)(?!\d)/,
+    pankyc: /PAN\s*:\s*(OK|NOT\s*OK)(?!\s*[A-Z]{5})/,
+    openingBalance: /Opening Unit Balance\s*:\s*([\d,.]+)/,
+    closingBalance: /Closing Unit Balance\s*:\s*([\d,]+(?:\.\d+)?)/,
+    costValue: /Total Cost Value\s*:\s*([\d,]+(?:\.\d+)?)/,
+    nav: /NAV on (\d{2}-[A-Z][a-z]{2}-\d{4})\s*:\s*INR\s*([\d,.]+)/,
+    marketValue:
+      /(?:Market Value|Valuation) on \d{2}-[A-Z][a-z]{2}-\d{4}\s*:\s*INR\s*([\d,.]+)/,
+  };
+
+  const applyValuation = (scheme, line) => {
+    const navMatch = line.match(PATTERNS.nav);
+    if (navMatch) {
+      scheme.valuation.date = convertDate(navMatch[1]);
+      scheme.valuation.nav = parseFloat(navMatch[2].replace(/,/g, ""));
+    }
+
+    const valueMatch = line.match(PATTERNS.marketValue);
+    if (valueMatch) {
+      scheme.valuation.value = parseFloat(valueMatch[1].replace(/,/g, ""));
+    }
+
+    const costMatch = line.match(PATTERNS.costValue);
+    if (costMatch) {
+      scheme.valuation.cost = parseFloat(costMatch[1].replace(/,/g, ""));
+    }
+  };
+
+  const failHeader = () => {
+    const { index, text } = pendingHeader;
+    pendingHeader = null;
+    unparsedHeaders.push({ line: index + 1, text });
+    log?.add(index, "UNPARSED_SCHEME_HEADER", { folio: currentFolio.folio });
+  };
+
+  // Starts the scheme once the pending scheme line parses
+  function openScheme() {
+    const schemeInfo = parseKFintechSchemeInfo(pendingHeader.text);
+    if (!schemeInfo) return;
+
+    pendingHeader = null;
+    currentScheme = {
+      scheme: schemeInfo.name,
+      isin: schemeInfo.isin,
+      amfi: null,
+      advisor: schemeInfo.advisor,
+      rta_code: schemeInfo.rtaCode,
+      rta: schemeInfo.rta || "KFINTECH",
+      nominees: [...folioNominees],
+      open: 0,
+      close: 0,
+      close_calculated: 0,
+      valuation: { date: null, nav: 0, value: 0, cost: 0 },
+      transactions: [],
+    };
+    skippedLines = [];
+    collectingTransactions = false;
   }
 
-  // Check for switch (use units to determine direction)
-  if (/switch/i.test(d)) {
-    return unitStr.trim().startsWith("(") && unitStr.trim().endsWith(")")
-      ? "SWITCH_OUT"
-      : "SWITCH_IN";
+  // Returns false when the line does not continue the pending scheme line
+  function readSchemeHeader(line) {
+    if (
+      !line ||
+      line.includes("Opening Unit Balance") ||
+      PATTERNS.folioHeader.test(line)
+    ) {
+      failHeader();
+      return false;
+    }
+    pendingHeader.text += " " + line;
+    pendingHeader.index = i;
+    openScheme();
+    return true;
   }
 
-  // Check for other transaction types
-  if (/dividend/i.test(d)) return "DIVIDEND";
-  if (/consolidation/i.test(d)) return "CONSOLIDATION";
-  if (/cancelled/i.test(d)) return "CANCELLED";
-  if (/demat/i.test(d)) return "DEMAT";
+  function push(rawLine) {
+    i++;
+    const line = rawLine.trim();
+    if (pendingHeader && readSchemeHeader(line)) return;
+    if (!line) return;
 
-  return "OTHER";
+    const lineLower = line.toLowerCase();
+
+    let foundAMC = null;
+    for (const [amcLower, amcOriginal] of AMC_LOWER_MAP) {
+      if (lineLower.startsWith(amcLower)) {
+        foundAMC = amcOriginal;
+        break;
+      }
+    }
+
+    if (foundAMC) {
+      currentAMC = foundAMC;
+      return;
+    }
+
+    // Folio header - starts a new folio block, PAN/KYC live on the same line
+    const folioMatch = line.match(PATTERNS.folioHeader);
+    if (folioMatch) {
+      const folioNumber = folioMatch[1].trim();
+
+      const panMatch = line.match(PATTERNS.pan);
+      const kycMatch = line.match(PATTERNS.kyc);
+      const pankycMatch = line.match(PATTERNS.pankyc);
+
+      currentFolio = folios.find(
+        (f) => f.folio === folioNumber && f.amc === currentAMC,
+      );
+
+      if (!currentFolio) {
+        currentFolio = {
+          folio: folioNumber,
+          amc: currentAMC,
+          PAN: panMatch ? panMatch[1] : null,
+          KYC: kycMatch ? kycMatch[1].replace(/\s+/g, " ") : null,
+          PANKYC: pankycMatch ? pankycMatch[1].replace(/\s+/g, " ") : null,
+          schemes: [],
+        };
+        folios.push(currentFolio);
+      }
+
+      folioNominees = [];
+      currentScheme = null;
+      collectingTransactions = false;
+      expectingName = true;
+      return;
+    }
+
+    // Nominees are printed once per folio and apply to every scheme under it
+    if (currentFolio && !currentScheme && /^Nominee\s+\d+\s*:/.test(line)) {
+      const pattern =
+        /Nominee\s+(\d+)\s*:\s*([A-Za-z][A-Za-z\s.]*?)(?=\s+Nominee\s+\d+\s*:|\s*$)/g;
+
+      let match;
+      while ((match = pattern.exec(line)) !== null) {
+        const name = match[2].trim();
+        if (name) folioNominees.push(name);
+      }
+      expectingName = false;
+      return;
+    }
+
+    // Scheme line - may wrap across lines until the ISIN is complete
+    if (currentFolio && /ISIN\s*:/.test(line)) {
+      pendingHeader = { text: line, index: i };
+      openScheme();
+      expectingName = false;
+      return;
+    }
+
+    // Holder name follows the folio header; nothing to keep from it
+    if (expectingName && /^[A-Z]/.test(line) && line.length < 100) {
+      expectingName = false;
+      return;
+    }
+
+    if (currentScheme && line.includes("Opening Unit Balance")) {
+      const match = line.match(PATTERNS.openingBalance);
+      if (match) {
+        currentScheme.open = parseFloat(match[1].replace(/,/g, ""));
+        collectingTransactions = true;
+      }
+      return;
+    }
+
+    // Closing line often carries NAV, valuation and cost on the same row
+    if (currentScheme && line.includes("Closing Unit Balance")) {
+      const match = line.match(PATTERNS.closingBalance);
+      if (match) {
+        currentScheme.close = parseFloat(match[1].replace(/,/g, ""));
+      }
+      linkReversals(currentScheme);
+      reconcileScheme(currentScheme, skippedLines);
+      Object.assign(currentScheme, pledgeBalance(currentScheme));
+      applyValuation(currentScheme, line);
+
+      if (currentFolio) currentFolio.schemes.push(currentScheme);
+
+      lastClosedScheme = currentScheme;
+      collectingTransactions = false;
+      currentScheme = null;
+      return;
+    }
+
+    // NAV / valuation / cost may also trail the closing line on their own rows
+    if (
+      line.includes("NAV on") ||
+      line.includes("Valuation on") ||
+      line.includes("Market Value on") ||
+      line.includes("Total Cost Value")
+    ) {
+      const target = currentScheme || lastClosedScheme;
+      if (target) applyValuation(target, line);
+      return;
+    }
+
+    if (
+      collectingTransactions &&
+      currentScheme &&
+      line.length >= 11 &&
+      line[2] === "-" &&
+      line[6] === "-" &&
+      PATTERNS.date.test(line.substring(0, 11))
+    ) {
+      const tx = parseKFintechTransactionLine(line);
+      if (tx) {
+        currentScheme.transactions.push(tx);
+      } else {
+        const reason = skipReason(line);
+        skippedLines.push({ line: i + 1, text: line, reason });
+        log?.add(i, reason, {
+          folio: currentFolio.folio,
+          isin: currentScheme.isin,
+          scheme: currentScheme.scheme,
+        });
+      }
+    }
+  }
+
+  function end() {
+    if (pendingHeader) failHeader();
+    return folios;
+  }
+
+  return { push, end };
+}
+
+function parseKFintechSchemeInfo(line) {
+  // Format: RTA_CODE-Scheme Name (Advisor: CODE) ISIN: CODE Registrar : CODE
+
+  const isinMatch = line.match(
+    /ISIN\s*:\s*([A-Z0-9\s]+?)(?=\s*\(|\s+Advisor|\s*Registrar|$)/,
+  );
+  if (!isinMatch) return null;
+
+  const isin = isinMatch[1].trim().replace(/\s+/g, "");
+
+  // ISIN must be exactly 12 characters, if not, it's incomplete (split across lines)
+  if (isin.length !== 12) return null;
+
+  const advisorMatch = line.match(
+    /Advisor\s*:?\s*((?:ARN|INZ|INA|CAT)[-A-Za-z0-9\s]*?|DIRECT)\s*\)/i,
+  );
+  const advisor = advisorMatch ? advisorMatch[1].replace(/\s+/g, "") : null;
+
+  const rtaMatch = line.match(/Registrar\s*:\s*([A-Z]+)/);
+  const rta = rtaMatch ? rtaMatch[1] : null;
+
+  // Everything before the advisor bracket (or ISIN) is "RTA_CODE-Scheme Name"
+  const advisorIndex = line.search(/\(\s*Advisor/i);
+  const nameEnd =
+    advisorIndex !== -1 && advisorIndex < isinMatch.index
+      ? advisorIndex
+      : isinMatch.index;
+  const head = line.substring(0, nameEnd).trim();
+
+  const codeMatch = head.match(/^([A-Z0-9]+)\s*-\s*(.+)$/);
+  if (!codeMatch) return null;
+
+  const schemeName = codeMatch[2]
+    .replace(/\s*\(\s*(?:Non\s*-\s*)?Demat\s*\)\s*/gi, "")
+    .replace(/\s*-\s*$/, "")
+    .replace(/\s*\(.*?formerly.*?\)/i, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return {
+    rtaCode: codeMatch[1],
+    name: schemeName,
+    isin: isin,
+    advisor: advisor,
+    rta: rta,
+  };
+}
+
+function parseKFintechTransactionLine(line) {
+  // Format: DATE DESCRIPTION AMOUNT UNITS PRICE BALANCE
+  const parts = line.split(/\s+/);
+  const date = parts[0];
+  if (!/^\d{2}-[A-Z][a-z]{2}-\d{4}$/.test(date)) return null;
+
+  const isNumber = (s) => /^\(?-?[\d,]+(?:\.\d+)?\)?$/.test(s);
+  const toNumber = (s) => parseFloat(s.replace(/,/g, "").replace(/[()-]/g, ""));
+
+  // Peel numeric columns off the right-hand side
+  const numbers = [];
+  let end = parts.length;
+  while (end > 1 && numbers.length < 4 && isNumber(parts[end - 1])) {
+    numbers.unshift(parts[end - 1]);
+    end--;
+  }
+  const description = parts.slice(1, end).join(" ").replace(/\*+/g, "").trim();
+
+  // Tax rows carry a single amount column
+  if (/Stamp Duty/i.test(description) && numbers.length >= 1) {
+    return {
+      date: convertDate(date),
+      description: "Stamp Duty",
+      amount: toNumber(numbers[0]),
+      units: 0,
+      nav: 0,
+      balance: 0,
+      type: "STAMP_DUTY_TAX",
+      subtype: null,
+    };
+  }
+
+  if (/STT Paid/i.test(description) && numbers.length >= 1) {
+    return {
+      date: convertDate(date),
+      description: "STT Paid",
+      amount: toNumber(numbers[0]),
+      units: 0,
+      nav: 0,
+      balance: 0,
+      type: "STT_TAX",
+      subtype: null,
+    };
+  }
+
+  if (/\bTDS\b/.test(description) && numbers.length >= 1) {
+    return {
+      date: convertDate(date),
+      description: "TDS",
+      amount: toNumber(numbers[0]),
+      units: 0,
+      nav: 0,
+      balance: 0,
+      type: "TDS_TAX",
+      subtype: null,
+    };
+  }
+
+  if (DIVIDEND_ROW.test(description) && numbers.length < 4) {
+    const payout = parseDividendPayoutLine(line);
+    if (payout) return payout;
+  }
+
+  const pledgeEvent = parsePledgeLine(line);
+  if (pledgeEvent) return pledgeEvent;
+
+  // Same early exits as the CAMS parser: system messages and unreadable pledge/lien rows
+  const skipPatterns = [
+    "***",
+    "Unpledge",
+    "Lien Removal",
+    "Pledged",
+    "Lien Marked",
+  ];
+  if (skipPatterns.some((word) => line.includes(word))) return null;
+
+  if (numbers.length < 4 || !description) return null;
+
+  const [amountStr, unitsStr, navStr, balanceStr] = numbers;
+  const amount = toNumber(amountStr);
+  const units = toNumber(unitsStr);
+  const nav = toNumber(navStr) || 0;
+  const balance = toNumber(balanceStr);
+
+  const hasAmount = !isNaN(amount) && amount !== 0;
+  const hasUnits = !isNaN(units) && units !== 0;
+  const hasNav = !isNaN(nav) && nav !== 0;
+  const hasBalance = !isNaN(balance) && balance !== 0;
+
+  if (!hasAmount && !hasUnits && !hasNav && !hasBalance) {
+    return null;
+  }
+
+  // KFintech may print outflows as "-1.234" instead of "(1.234)"
+  const normalizedUnits = unitsStr.startsWith("-")
+    ? `(${unitsStr.substring(1)})`
+    : unitsStr;
+
+  const type = determineTransactionType(description, normalizedUnits);
+  return {
+    date: convertDate(date),
+    description: description,
+    amount: amount,
+    units: units,
+    nav: nav,
+    balance: balance,
+    type,
+    subtype: determineSubtype(type, description),
+  };
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+
+// ── NSDL / CDSL Depository CAS ──────────────────────────────────────────────
+// The depository CAS lists holdings per demat (DP) account rather than per folio,
+// split into asset-class sections (equities, mutual funds, ETFs, bonds). MF units
+// are mapped onto the usual folio/scheme shape so downstream consumers keep working;
+// everything else goes into per-account equities/etfs/bonds arrays.
+
+const DEPOSITORY_SECTIONS = [
+  { key: "mf_folios", pattern: /^Mutual\s+Fund\s+Folios/i },
+  { key: "mf_demat", pattern: /^Mutual\s+Funds?\b/i },
+  { key: "etfs", pattern: /^(?:Exchange\s+Traded\s+Funds|ETFs?\b)/i },
+  {
+    key: "bonds",
+    pattern:
+      /^(?:Corporate\s+Bonds|Government\s+Securities|Bonds\b|Debentures|Money\s+Market)/i,
+  },
+  { key: "equities", pattern: /^Equit(?:y|ies)\b/i },
+];
+
+function parseDepositoryCAS(text, fileType, log = null) {
+  const result = {
+    statement_period: { from: null, to: null },
+    file_type: fileType,
+    cas_type: "DEPOSITORY",
+    investor_info: {
+      email: null,
+      name: null,
+      mobile: null,
+      address: null,
+    },
+    current_value: 0,
+    accounts: [],
+    folios: [],
+    holdings: { equities: [], etfs: [], bonds: [] },
+  };
+
+  // Extract statement period - depositories print "for the period from X to Y"
+  const periodMatch = text.match(
+    /period\s+from\s+(\d{2}-[A-Za-z]{3}-\d{4})\s+to\s+(\d{2}-[A-Za-z]{3}-\d{4})/i,
+  );
+  if (periodMatch) {
+    result.statement_period.from = convertDate(
+      normalizeMonthCase(periodMatch[1]),
+    );
+    result.statement_period.to = convertDate(
+      normalizeMonthCase(periodMatch[2]),
+    );
+  }
+
+  // Extract investor info
+  result.investor_info = parseInvestorInfo(text);
+
+  result.accounts = parseDepositoryAccounts(
+    text,
+    result.statement_period.to,
+    log,
+  );
+
+  for (const account of result.accounts) {
+    result.folios.push(...account.folios);
+    for (const key of ["equities", "etfs", "bonds"]) {
+      result.holdings[key].push(
+        ...account[key].map((h) => ({
+          ...h,
+          dp_id: account.dp_id,
+          client_id: account.client_id,
+        })),
+      );
+    }
+    result.current_value += account.value;
+  }
+  result.current_value = Math.round(result.current_value * 100) / 100;
+
+  return result;
+}
+
+function parseDepositoryAccounts(text, valuationDate, log = null) {
+  const lines = text.split("\n");
+  const accounts = [];
+
+  let currentAccount = null;
+  let currentSection = null;
+
+  const PATTERNS = {
+    accountHeader: /^(NSDL|CDSL)\s+Demat\s+Account/i,
+    soaHeader: /^Mutual\s+Fund\s+Folios/i,
+    dpName: /DP\s*Name\s*:\s*(.+?)(?=\s+DP\s*ID\s*:|$)/i,
+    dpClient: /DP\s*ID\s*:\s*(\S+)\s+Client\s*ID\s*:\s*(\S+)/i,
+    boId: /BO\s*ID\s*:\s*(\d{16})/i,
+    isinRow: /^([A-Z]{2}[A-Z0-9]{9}\d)\s+(.+)$/,
+  };
+
+  const newAccount = (type) => ({
+    type,
+    dp_name: null,
+    dp_id: null,
+    client_id: null,
+    folios: [],
+    equities: [],
+    etfs: [],
+    bonds: [],
+    value: 0,
+  });
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const accountMatch = line.match(PATTERNS.accountHeader);
+    if (accountMatch) {
+      currentAccount = newAccount(accountMatch[1].toUpperCase());
+      accounts.push(currentAccount);
+      currentSection = null;
+      continue;
+    }
+
+    // MF units held in statement-of-account form (outside any demat account)
+    if (PATTERNS.soaHeader.test(line)) {
+      currentAccount = accounts.find((a) => a.type === "SOA");
+      if (!currentAccount) {
+        currentAccount = newAccount("SOA");
+        accounts.push(currentAccount);
+      }
+      currentSection = "mf_folios";
+      continue;
+    }
+
+    if (!currentAccount) continue;
+
+    const dpNameMatch = line.match(PATTERNS.dpName);
+    if (dpNameMatch) currentAccount.dp_name = dpNameMatch[1].trim();
+
+    const dpClientMatch = line.match(PATTERNS.dpClient);
+    if (dpClientMatch) {
+      currentAccount.dp_id = dpClientMatch[1];
+      currentAccount.client_id = dpClientMatch[2];
+      continue;
+    }
+
+    const boIdMatch = line.match(PATTERNS.boId);
+    if (boIdMatch) {
+      currentAccount.dp_id = boIdMatch[1].substring(0, 8);
+      currentAccount.client_id = boIdMatch[1].substring(8);
+      continue;
+    }
+    if (dpNameMatch) continue;
+
+    const section = DEPOSITORY_SECTIONS.find((s) => s.pattern.test(line));
+    if (section) {
+      currentSection = section.key;
+      continue;
+    }
+
+    const rowMatch = line.match(PATTERNS.isinRow);
+    if (!rowMatch) continue;
+    if (!currentSection) {
+      log?.add(i, "HOLDING_OUTSIDE_SECTION", { isin: rowMatch[1] });
+      continue;
+    }
+
+    const row = parseDepositoryHoldingRow(
+      rowMatch[1],
+      rowMatch[2],
+      currentSection,
+    );
+    if (!row) {
+      log?.add(i, "HOLDING_ROW_UNMATCHED", { isin: rowMatch[1] });
+      continue;
+    }
+
+    currentAccount.value += row.value;
+
+    if (currentSection === "mf_folios" || currentSection === "mf_demat") {
+      addDepositoryMFHolding(currentAccount, row, valuationDate);
+    } else {
+      currentAccount[currentSection].push({
+        isin: row.isin,
+        name: row.name,
+        quantity: row.quantity,
+        price: row.price,
+        value: row.value,
+        ...(row.face_value !== null && { face_value: row.face_value }),
+      });
+    }
+  }
+
+  accounts.forEach((a) => (a.value = Math.round(a.value * 100) / 100));
+  return accounts;
+}
+
+function parseDepositoryHoldingRow(isin, rest, section) {
+  // Row: ISIN NAME [FACE_VALUE (equities) | FOLIO (MF folios)] QUANTITY PRICE VALUE
+  const parts = rest.split(/\s+/);
+  const isNumber = (s) => /^[\d,]+(?:\.\d+)?$/.test(s);
+  const toNumber = (s) => parseFloat(s.replace(/,/g, ""));
+
+  if (parts.length < 4) return null;
+  const tail = parts.slice(-3);
+  if (!tail.every(isNumber)) return null;
+
+  let nameParts = parts.slice(0, -3);
+  let folio = null;
+  let faceValue = null;
+
+  if (section === "mf_folios") {
+    folio = nameParts.pop();
+  } else if (
+    section === "equities" &&
+    nameParts.length > 1 &&
+    isNumber(nameParts[nameParts.length - 1])
+  ) {
+    faceValue = toNumber(nameParts.pop());
+  }
+
+  const name = nameParts.join(" ").trim();
+  if (!name) return null;
+
+  const [quantity, price, value] = tail.map(toNumber);
+  return { isin, name, folio, quantity, price, value, face_value: faceValue };
+}
+
+function addDepositoryMFHolding(account, row, valuationDate) {
+  // Demat MF units have no folio; the demat account number stands in for it
+  const folioNumber =
+    row.folio || [account.dp_id, account.client_id].filter(Boolean).join("");
+  const amc = determineAMCFromSchemeName(row.name);
+
+  let folio = account.folios.find(
+    (f) => f.folio === folioNumber && f.amc === amc,
+  );
+  if (!folio) {
+    folio = {
+      folio: folioNumber,
+      amc,
+      PAN: null,
+      KYC: null,
+      PANKYC: null,
+      schemes: [],
+    };
+    account.folios.push(folio);
+  }
+
+  folio.schemes.push({
+    scheme: row.name,
+    isin: row.isin,
+    amfi: null,
+    advisor: null,
+    rta_code: null,
+    rta: null,
+    nominees: [],
+    open: row.quantity,
+    close: row.quantity,
+    close_calculated: row.quantity,
+    valuation: {
+      date: valuationDate,
+      nav: row.price,
+      value: row.value,
+      cost: 0,
+    },
+    transactions: [],
+  });
+}
+
+// Depository statements print months in upper case ("31-MAR-2024")
+function normalizeMonthCase(dateStr) {
+  return dateStr.replace(
+    /-([A-Za-z]{3})-/,
+    (_, m) => `-${m[0].toUpperCase()}${m.slice(1).toLowerCase()}-`,
+  );
+}
+
+// ── Verbose warnings ────────────────────────────────────────────────────────
+// parseCAS(text, { verbose: true }) records each line it ignored, so a fund that
+// went missing can be traced back to the page and line it was printed on.
+
+// readCAS() separates pages with "=== Page N ===" lines
+const PAGE_MARKER = /^=== Page (\d+) ===$/;
+
+// Streamed lines kept for warning text; warnings refer back at most a few lines
+const RECENT_LINES = 100;
+
+/**
+ * Collects parser warnings. Lines of `text` are looked up by index; when parsing
+ * a stream, `track()` is called with every later line instead, and only the last
+ * RECENT_LINES of them are kept.
+ */
+function createWarningLog(text) {
+  const lines = text.split("\n");
+  const recent = new Map();
+  // [line index, page number] at every page marker
+  const pageStarts = [];
+  const markPage = (index, line) => {
+    const marker = line.trim().match(PAGE_MARKER);
+    if (marker) pageStarts.push([index, Number(marker[1])]);
+  };
+  lines.forEach((line, index) => markPage(index, line));
+
+  const pageOf = (index) => {
+    for (let p = pageStarts.length - 1; p >= 0; p--) {
+      if (pageStarts[p][0] <= index) return pageStarts[p][1];
+    }
+    return null;
+  };
+
+  const warnings = [];
+  return {
+    warnings,
+    track(index, line) {
+      markPage(index, line);
+      recent.set(index, line);
+      recent.delete(index - RECENT_LINES);
+    },
+    add(index, reason, context = {}) {
+      warnings.push({
+        page: pageOf(index),
+        line: index + 1,
+        reason,
+        folio: context.folio ?? null,
+        isin: context.isin ?? null,
+        scheme: context.scheme ?? null,
+        text: (lines[index] ?? recent.get(index) ?? "").trim(),
+      });
+    },
+  };
+}
+
+// ── Unit-balance reconciliation ─────────────────────────────────────────────
+// Every unit-moving row prints the balance after it, and the scheme ends with a
+// closing balance. Replaying the parsed rows from the opening balance must land on
+// both; where it does not, a row was dropped, misread or mistyped.
+
+// Balances are printed to 3 decimals
+const UNIT_TOLERANCE = 0.001;
+
+function reconcileScheme(scheme, skippedLines) {
+  const balanceMismatches = [];
+  let running = scheme.open || 0;
+  let calculated = scheme.open || 0;
+
+  for (const tx of scheme.transactions) {
+    const delta = signedUnits(tx);
+    running += delta;
+    calculated += delta;
+
+    // Tax, payout and pledge rows print no balance
+    if (!tx.units || tx.balance === null || isNaN(tx.balance)) continue;
+
+    const difference = round(running - tx.balance, 3);
+    if (Math.abs(difference) > UNIT_TOLERANCE) {
+      balanceMismatches.push({
+        date: tx.date,
+        description: tx.description,
+        type: tx.type,
+        units: tx.units,
+        balance: tx.balance,
+        balance_calculated: round(running, 3),
+        difference,
+      });
+      // Carry on from the printed balance so one bad row is reported once
+      running = tx.balance;
+    }
+  }
+
+  scheme.close_calculated = round(calculated, 3);
+  const closeDifference = round(
+    scheme.close_calculated - (scheme.close || 0),
+    3,
+  );
+
+  scheme.diagnostics = {
+    reconciled:
+      Math.abs(closeDifference) <= UNIT_TOLERANCE &&
+      balanceMismatches.length === 0,
+    close_difference: closeDifference,
+    balance_mismatches: balanceMismatches,
+    skipped_lines: skippedLines,
+  };
+}
+
+// Why a dated line in a transaction block did not become a transaction
+function skipReason(line) {
+  if (/Unpledge|Lien Removal|Pledged|Lien Marked/.test(line)) {
+    return "PLEDGE_OR_LIEN";
+  }
+  if (line.includes("***")) return "SYSTEM_MESSAGE";
+
+  const numbers = line.substring(11).match(/\(?-?[\d,]*\.\d+\)?/g) || [];
+  if (numbers.length === 0) return "NO_AMOUNTS";
+  if (numbers.every((n) => parseFloat(n.replace(/[(),-]/g, "")) === 0)) {
+    return "ZERO_AMOUNTS";
+  }
+  return "UNRECOGNISED_LAYOUT";
+}
+
+function summariseDiagnostics(folios, unparsedHeaders) {
+  const schemes = folios.flatMap((f) =>
+    f.schemes.map((s) => ({ folio: f.folio, scheme: s })),
+  );
+  const unreconciled = schemes.filter(
+    ({ scheme }) => !scheme.diagnostics.reconciled,
+  );
+
+  return {
+    schemes: schemes.length,
+    reconciled: schemes.length - unreconciled.length,
+    unreconciled: unreconciled.map(({ folio, scheme }) => ({
+      folio,
+      isin: scheme.isin,
+      scheme: scheme.scheme,
+      close: scheme.close,
+      close_calculated: scheme.close_calculated,
+      balance_mismatches: scheme.diagnostics.balance_mismatches.length,
+    })),
+    skipped_lines: schemes.reduce(
+      (n, { scheme }) => n + scheme.diagnostics.skipped_lines.length,
+      0,
+    ),
+    unparsed_scheme_headers: unparsedHeaders,
+  };
+}
+
+// ── IDCW payouts ────────────────────────────────────────────────────────────
+// Reinvested IDCW prints the usual amount / NAV / units / balance columns. Payouts
+// only print the amount, often with the rate: "DATE 1,250.00 IDCW Paid @ Rs.1.25 per unit".
+
+// Also the short form in "Div. Reinv." and "Div. Paid"
+const DIVIDEND_ROW = /dividend|idcw|\bdiv\b/i;
+
+const isNumeric = (s) => /^\(?-?[\d,]+(?:\.\d+)?\)?$/.test(s || "");
+
+function parseDividendPayoutLine(line) {
+  const parts = line.split(/\s+/);
+  if (!/^\d{2}-[A-Z][a-z]{2}-\d{4}$/.test(parts[0])) return null;
+
+  // Full column layout: leave it to the regular parser
+  if (parts.slice(1, 4).every(isNumeric)) return null;
+
+  // Drop the per-unit rate so it is not mistaken for the amount
+  const rest = line
+    .substring(11)
+    .replace(/@\s*(?:Rs\.?|INR)?\s*[\d,.]+(?:\s*per\s*unit)?/gi, " ");
+  const amountMatch = rest.match(/\(?([\d,]+\.\d+)\)?/);
+  if (!amountMatch) return null;
+
+  const description = line
+    .substring(11)
+    .replace(amountMatch[0], "")
+    .replace(/\*+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const amount = parseFloat(amountMatch[1].replace(/,/g, ""));
+  return amount > 0 ? dividendPayout(parts[0], description, amount) : null;
+}
+
+function dividendPayout(date, description, amount) {
+  return {
+    date: convertDate(date),
+    description,
+    amount,
+    units: 0,
+    nav: 0,
+    balance: null,
+    type: "DIVIDEND",
+    subtype: "IDCW_PAYOUT",
+  };
+}
+
+// ── Pledge / lien events ────────────────────────────────────────────────────
+// Units pledged for a loan against securities, or under lien, stay in the folio
+// but cannot be redeemed. CAMS prints "DATE UNITS *** Pledged ***", KFintech
+// "DATE *** Pledged UNITS units ***". Events carry no amount and no balance.
+
+const PLEDGE_EVENTS = [
+  { pattern: /Unpledge/, type: "UNPLEDGE" },
+  { pattern: /Lien Removal/, type: "LIEN_REMOVED" },
+  { pattern: /Lien Marked/, type: "LIEN_MARKED" },
+  { pattern: /Pledged/, type: "PLEDGE" },
+];
+
+function parsePledgeLine(line) {
+  const event = PLEDGE_EVENTS.find((e) => e.pattern.test(line));
+  if (!event) return null;
+
+  const date = line.substring(0, 11);
+  if (!/^\d{2}-[A-Z][a-z]{2}-\d{4}$/.test(date)) return null;
+
+  const rest = line.substring(11);
+  const unitsMatch = rest.match(/\(?([\d,]+\.\d+)\)?/);
+  if (!unitsMatch) return null;
+
+  return {
+    date: convertDate(date),
+    description: rest
+      .replace(unitsMatch[0], "")
+      .replace(/\*+/g, "")
+      .replace(/\s+/g, " ")
+      .trim(),
+    amount: 0,
+    units: parseFloat(unitsMatch[1].replace(/,/g, "")),
+    nav: 0,
+    balance: null,
+    type: event.type,
+    subtype: null,
+  };
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+
+function determineTransactionType(desc, unitStr) {
+  const d = desc.toLowerCase();
+
+  // Check for redemption first (including reversed purchases)
+  if (
+    /purchase[-\s]*reversed|systematic investment purchase[-\s]*reversed|redemption|reversal|cheque[-\s]*dishonoured|collection[-\s]*dishonoured/i.test(
+      d,
+    )
+  ) {
+    return "REDEMPTION";
+  }
+
+  // Systematic withdrawals are redemptions even when the word is missing
+  if (/systematic withdrawal|\bswp\b/i.test(d)) return "REDEMPTION";
+
+  // Units allotted in a segregated portfolio after a credit event
+  if (/segregat/i.test(d)) return "PURCHASE";
+
+  // Check for purchase
+  if (
+    /purchase|systematic investment|sys investment|sys. investment/i.test(d)
+  ) {
+    return "PURCHASE";
+  }
+
+  // Check for switch and STP legs (use units to determine direction)
+  if (/switch|systematic transfer|\bstp\b/i.test(d)) {
+    return unitStr.trim().startsWith("(") && unitStr.trim().endsWith(")")
+      ? "SWITCH_OUT"
+      : "SWITCH_IN";
+  }
+
+  // Check for other transaction types
+  if (DIVIDEND_ROW.test(d)) return "DIVIDEND";
+  if (/consolidation/i.test(d)) return "CONSOLIDATION";
+  if (/cancelled/i.test(d)) return "CANCELLED";
+  if (/demat/i.test(d)) return "DEMAT";
+
+  return "OTHER";
+}
+
+// Finer classification within a type, e.g. SIP instalment vs lumpsum purchase.
+// null where the type says it all.
+function determineSubtype(type, desc) {
+  const d = desc.toLowerCase();
+
+  switch (type) {
+    case "PURCHASE":
+      if (/segregat/.test(d)) return "SEGREGATED_ALLOTMENT";
+      if (/systematic transfer|\bstp\b/.test(d)) return "STP";
+      if (
+        /systematic investment|sys\.? investment|\bsip\b|sip instal/.test(d)
+      ) {
+        return "SIP";
+      }
+      return "LUMPSUM";
+    case "REDEMPTION":
+      if (/reversed|reversal|dishonou?red/.test(d)) return "REVERSAL";
+      if (/systematic withdrawal|\bswp\b/.test(d)) return "SWP";
+      if (/systematic transfer|\bstp\b/.test(d)) return "STP";
+      if (/segregat/.test(d)) return "SEGREGATED";
+      return null;
+    case "SWITCH_IN":
+    case "SWITCH_OUT":
+      return /systematic transfer|\bstp\b/.test(d) ? "STP" : null;
+    case "DIVIDEND":
+      return /reinv/.test(d) ? "IDCW_REINVEST" : "IDCW_PAYOUT";
+    default:
+      return null;
+  }
+}
+
+/**
+ * Links each reversal to the purchase it cancels: the latest earlier purchase
+ * with the same units and amount. Both rows get the same `reversal_id`; it is
+ * derived from the purchase so it survives merging statements. Identical
+ * purchases on one day are told apart by their order within that day.
+ */
+function linkReversals(scheme) {
+  const transactions = scheme.transactions;
+  const same = (a, b, decimals) =>
+    round(Math.abs(a || 0), decimals) === round(Math.abs(b || 0), decimals);
+
+  // Purchase → "date/units/n", n counting identical purchases that day from 1
+  const purchaseIds = new Map();
+  const seen = new Map();
+  for (const tx of transactions) {
+    if (tx.type !== "PURCHASE") continue;
+    const key = `${tx.date}/${round(Math.abs(tx.units || 0), 3)}`;
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    purchaseIds.set(tx, `${key}/${n}`);
+  }
+
+  transactions.forEach((tx, index) => {
+    if (tx.subtype !== "REVERSAL") return;
+
+    for (let i = index - 1; i >= 0; i--) {
+      const original = transactions[i];
+      if (
+        original.type === "PURCHASE" &&
+        !original.reversal_id &&
+        original.date <= tx.date &&
+        same(original.units, tx.units, 3) &&
+        same(original.amount, tx.amount, 2)
+      ) {
+        const id = purchaseIds.get(original);
+        original.reversal_id = id;
+        tx.reversal_id = id;
+        break;
+      }
+    }
+  });
 }
 
 function convertDate(dateStr) {
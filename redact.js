@@ -0,0 +1,191 @@
+/**
+ * @file redact.js
+ * @description PII redaction for parsed CAS output - PAN, contact details, names, nominees, folio and demat
+ * account numbers become stable tokens, so outputs can be shared for support without scrubbing by hand.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import crypto from "crypto";
+import { folioKey } from "./merge.js";
+
+export const REDACT_MODES = ["pii"];
+
+// How each kind of value is normalised before hashing, so "abcde1234f" and
+// "ABCDE1234F", or "910101234567 / 0" and "910101234567/0", get one token
+const NORMALISE = {
+  PAN: (v) => v.toUpperCase().trim(),
+  EMAIL: (v) => v.toLowerCase().trim(),
+  MOBILE: (v) => v.replace(/\D/g, "").slice(-10),
+  NAME: (v) => v.toUpperCase().replace(/\s+/g, " ").trim(),
+  ADDRESS: (v) => v.toUpperCase().replace(/\s+/g, " ").trim(),
+  FOLIO: folioKey,
+  ACCOUNT: (v) => v.replace(/\s+/g, ""),
+};
+
+const INVESTOR_FIELDS = {
+  name: "NAME",
+  email: "EMAIL",
+  mobile: "MOBILE",
+  address: "ADDRESS",
+};
+
+// Fields holding free text - transaction descriptions and the statement lines
+// quoted by warnings and diagnostics - where PII can appear inside the string.
+// Every other string is replaced only when it is a known value as a whole, so
+// an investor called "TATA" leaves "Tata Digital India Fund" alone.
+const FREE_TEXT_FIELDS = new Set(["description", "text"]);
+
+// Family investor keys built from a name or email: "NAME:JOHN DOE"
+const PREFIXED_KEY = /^(NAME|EMAIL):(.+)$/;
+
+// PII that free text may carry even when it was never seen in a structured field
+const TEXT_PATTERNS = [
+  { kind: "PAN", pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/g },
+  { kind: "EMAIL", pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  { kind: "MOBILE", pattern: /(?:\+91[\s-]?)?\b[6-9]\d{9}\b/g },
+];
+
+// Shorter values are only replaced where they are the whole string
+const MIN_SUBSTRING_LENGTH = 4;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Maps PII values to tokens like `PAN_3f9a1c2b7d`: a keyed hash of the
+ * normalised value, so equal values get equal tokens and tokens cannot be
+ * reversed without the salt.
+ *
+ * @param {object} [options]
+ * @param {string} [options.salt] - Key for the hash. Outputs redacted with the same
+ *   salt share tokens; by default every redactor gets a random one.
+ */
+export function createRedactor({ salt } = {}) {
+  const secret = salt || crypto.randomBytes(16).toString("hex");
+  const known = new Map();
+  let matcher = null;
+
+  function token(kind, value) {
+    const normalised = NORMALISE[kind](String(value));
+    const hash = crypto
+      .createHmac("sha256", secret)
+      .update(`${kind}:${normalised}`)
+      .digest("hex");
+    return `${kind}_${hash.slice(0, 10)}`;
+  }
+
+  /**
+   * Records a value to be replaced wherever it appears.
+   * @returns {string|null} Its token, or null for an empty value.
+   */
+  function add(kind, value) {
+    if (typeof value !== "string" || !value.trim()) return null;
+    if (!known.has(value)) {
+      known.set(value, token(kind, value));
+      matcher = null;
+    }
+    return known.get(value);
+  }
+
+  // A structured field: only a whole known value is replaced
+  function replaceValue(value) {
+    if (known.has(value)) return known.get(value);
+    const prefixed = PREFIXED_KEY.exec(value);
+    if (prefixed && known.has(prefixed[2])) {
+      return `${prefixed[1]}:${known.get(prefixed[2])}`;
+    }
+    return value;
+  }
+
+  function scrub(text) {
+    if (known.has(text)) return known.get(text);
+
+    if (!matcher) {
+      const values = [...known.keys()]
+        .filter((v) => v.length >= MIN_SUBSTRING_LENGTH)
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+      matcher = values.length ? new RegExp(values.join("|"), "g") : null;
+    }
+    let scrubbed = matcher
+      ? text.replace(matcher, (match) => known.get(match))
+      : text;
+    for (const { kind, pattern } of TEXT_PATTERNS) {
+      scrubbed = scrubbed.replace(pattern, (match) => token(kind, match));
+    }
+    return scrubbed;
+  }
+
+  // A redacted deep copy: strings replaced, numbers and the shape untouched
+  function redact(value, field) {
+    if (typeof value === "string") {
+      return FREE_TEXT_FIELDS.has(field) ? scrub(value) : replaceValue(value);
+    }
+    if (Array.isArray(value)) return value.map((v) => redact(v, field));
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [k, redact(v, k)]),
+      );
+    }
+    return value;
+  }
+
+  return { add, redact };
+}
+
+// Registers the PII fields of any parse output shape: single, merged and family
+// statements, depository accounts and holdings, analytics and warnings
+function collect(value, redactor) {
+  if (Array.isArray(value)) {
+    value.forEach((v) => collect(v, redactor));
+    return;
+  }
+  if (!value || typeof value !== "object") return;
+
+  for (const [key, field] of Object.entries(value)) {
+    if (key === "investor_info" && field) {
+      for (const [name, kind] of Object.entries(INVESTOR_FIELDS)) {
+        redactor.add(kind, field[name]);
+      }
+    } else if (key === "PAN" || key === "pan") {
+      redactor.add("PAN", field);
+    } else if (key === "folio") {
+      redactor.add("FOLIO", field);
+    } else if (key === "client_id") {
+      redactor.add("ACCOUNT", field);
+    } else if (key === "nominees" && Array.isArray(field)) {
+      field.forEach((name) => redactor.add("NAME", name));
+    } else if (
+      (key === "key" || key === "investor") &&
+      typeof field === "string"
+    ) {
+      const prefixed = PREFIXED_KEY.exec(field);
+      if (prefixed) redactor.add(prefixed[1], prefixed[2]);
+    }
+    collect(field, redactor);
+  }
+}
+
+/**
+ * Redacts PII from parse output. The input is not modified.
+ *
+ * Investor name, email, mobile and address, PANs, nominee names, folio numbers
+ * and demat client ids are replaced by tokens wherever they appear as a value,
+ * and inside transaction descriptions and warning and diagnostic line text.
+ * Amounts, units, dates, schemes and ISINs are kept, so the output still
+ * reproduces parsing problems.
+ *
+ * @param {object} data - parseCAS() output, or anything built from it (a merged
+ *   statement, a family portfolio, a response body).
+ * @param {object} [options]
+ * @param {string} [options.mode="pii"] - One of REDACT_MODES.
+ * @param {string} [options.salt] - See createRedactor().
+ * @returns {object} The redacted copy.
+ */
+export function redactCAS(data, { mode = "pii", salt } = {}) {
+  if (!REDACT_MODES.includes(mode)) {
+    throw new Error(`Unknown redact mode "${mode}"`);
+  }
+  const redactor = createRedactor({ salt });
+  collect(data, redactor);
+  return redactor.redact(data);
+}
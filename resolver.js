@@ -0,0 +1,230 @@
+/**
+ * @file resolver.js
+ * @description Maps CAS ISINs to AMFI scheme codes and Groww search ids. Uses the AMFI NAVAll index,
+ * Groww search (verified against the scheme's ISIN) and everything learnt from earlier Groww responses.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import {
+  createFileBackend,
+  createMemoryBackend,
+  createTieredBackend,
+} from "./cache.js";
+
+export const ISIN_PATTERN = /^IN[A-Z0-9]{9}\d$/;
+
+// Groww search candidates checked per query before giving up
+const MAX_CANDIDATES = 3;
+// Follow at most this many learnt search_id renames, in case of a cycle
+const MAX_ALIAS_HOPS = 5;
+
+/**
+ * @param {object} options
+ * @param {object} [options.amfi] - AMFI provider (amfi.js); supplies scheme codes and names by ISIN.
+ * @param {(query: string) => Promise<object[]>} options.searchSchemes - Groww scheme search,
+ *   resolving to [{ search_id, title }].
+ * @param {(searchId: string) => Promise<object|null>} options.getMFDetails - Groww scheme details.
+ * @param {object} [options.backend] - Storage for learnt mappings (see cache.js). Defaults to a
+ *   memory LRU in front of JSON files in RESOLVER_DIR (".resolver").
+ */
+export function createSchemeResolver({
+  amfi,
+  searchSchemes,
+  getMFDetails,
+  backend,
+} = {}) {
+  const store =
+    backend ||
+    createTieredBackend([
+      createMemoryBackend({ maxEntries: 1000 }),
+      createFileBackend({ dir: process.env.RESOLVER_DIR || ".resolver" }),
+    ]);
+  const inFlight = new Map();
+
+  async function save(isin, fields) {
+    const key = `isin:${isin}`;
+    const existing = (await store.get(key)) || { isin };
+    const changed = Object.entries(fields).some(
+      ([k, v]) => v && existing[k] !== v,
+    );
+    if (!changed) return existing;
+
+    const updated = { ...existing };
+    for (const [k, v] of Object.entries(fields)) if (v) updated[k] = v;
+    updated.updated_at = new Date().toISOString();
+    await store.set(key, updated);
+    return updated;
+  }
+
+  /**
+   * Records ISIN → scheme code / search id from a Groww scheme-details response.
+   * Called for every getMFDetails() result, so mappings build up as a side effect.
+   */
+  async function learn(mfData) {
+    const isin = String(mfData?.isin || "").toUpperCase();
+    if (!ISIN_PATTERN.test(isin) || !mfData.search_id) return;
+    try {
+      await save(isin, {
+        search_id: mfData.search_id,
+        scheme_code: mfData.scheme_code ? String(mfData.scheme_code) : null,
+        scheme_name: mfData.scheme_name,
+      });
+    } catch (err) {
+      console.error(`Could not record mapping for ${isin}:`, err.message);
+    }
+  }
+
+  // Groww answered a search_id with a 308 to a new one
+  async function learnRedirect(oldSearchId, newSearchId) {
+    if (!oldSearchId || !newSearchId || oldSearchId === newSearchId) return;
+    try {
+      await store.set(`alias:${oldSearchId}`, {
+        search_id: newSearchId,
+        updated_at: new Date().toISOString(),
+      });
+    } catch (err) {
+      console.error(`Could not record redirect ${oldSearchId}:`, err.message);
+    }
+  }
+
+  // Latest known search id for one that Groww has renamed
+  async function canonicalSearchId(searchId) {
+    let current = searchId;
+    for (let hop = 0; hop < MAX_ALIAS_HOPS; hop++) {
+      const alias = await store.get(`alias:${current}`);
+      if (!alias?.search_id) break;
+      current = alias.search_id;
+    }
+    return current;
+  }
+
+  // Groww search, keeping only the candidate whose details carry this ISIN
+  async function searchGroww(isin, queries) {
+    const tried = new Set();
+    for (const query of queries) {
+      if (!query) continue;
+      const results = await searchSchemes(query);
+      for (const candidate of (results || []).slice(0, MAX_CANDIDATES)) {
+        if (!candidate?.search_id || tried.has(candidate.search_id)) continue;
+        tried.add(candidate.search_id);
+
+        const mfData = await getMFDetails(candidate.search_id);
+        if (String(mfData?.isin || "").toUpperCase() === isin) return mfData;
+      }
+    }
+    return null;
+  }
+
+  async function resolveOne(isin, hints) {
+    const known = await store.get(`isin:${isin}`);
+    if (known?.scheme_code && known?.search_id) {
+      return {
+        isin,
+        scheme_code: known.scheme_code,
+        search_id: await canonicalSearchId(known.search_id),
+        scheme_name: known.scheme_name || null,
+        source: "store",
+      };
+    }
+
+    const amfiRow = amfi ? await amfi.getScheme(isin) : null;
+    let schemeCode = known?.scheme_code || amfiRow?.scheme_code || null;
+    let schemeName = known?.scheme_name || amfiRow?.scheme_name || null;
+    let searchId = known?.search_id || null;
+    const sources = [];
+    if (amfiRow) sources.push("amfi");
+
+    if (!searchId) {
+      const mfData = await searchGroww(isin, [
+        isin,
+        amfiRow?.scheme_name,
+        hints.scheme,
+      ]);
+      if (mfData) {
+        searchId = mfData.search_id;
+        schemeCode ||= mfData.scheme_code ? String(mfData.scheme_code) : null;
+        schemeName ||= mfData.scheme_name;
+        sources.push("groww");
+      }
+    }
+
+    if (schemeCode || searchId) {
+      await save(isin, {
+        scheme_code: schemeCode,
+        search_id: searchId,
+        scheme_name: schemeName,
+      });
+    }
+
+    return {
+      isin,
+      scheme_code: schemeCode,
+      search_id: searchId ? await canonicalSearchId(searchId) : null,
+      scheme_name: schemeName,
+      source: sources.join("+") || null,
+    };
+  }
+
+  /**
+   * Resolves one ISIN. Partial results are possible: a scheme code from AMFI
+   * with no Groww search id, or the other way round.
+   *
+   * @param {string} isin
+   * @param {object} [hints]
+   * @param {string} [hints.scheme] - Scheme name from the CAS, used as a search fallback.
+   * @returns {Promise<object>} { isin, scheme_code, search_id, scheme_name, source }
+   */
+  function resolve(isin, hints = {}) {
+    const key = String(isin || "")
+      .trim()
+      .toUpperCase();
+    if (inFlight.has(key)) return inFlight.get(key);
+    const promise = resolveOne(key, hints).finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  return { resolve, learn, learnRedirect, canonicalSearchId };
+}
+
+/**
+ * Unique ISINs of a parsed CAS with the scheme name to search by.
+ *
+ * @param {object} casData - Output of parseCAS() (any CAS type).
+ * @returns {{ isin: string, scheme: string }[]}
+ */
+export function casSchemes(casData) {
+  const byIsin = new Map();
+  const add = (isin, scheme) => {
+    if (isin && !byIsin.has(isin)) byIsin.set(isin, { isin, scheme });
+  };
+
+  for (const folio of casData?.folios || []) {
+    if (casData.cas_type === "SUMMARY") add(folio.isin, folio.scheme);
+    for (const scheme of folio.schemes || []) add(scheme.isin, scheme.scheme);
+  }
+  return [...byIsin.values()];
+}
+
+/**
+ * Writes resolved ids onto a parsed CAS in place: `amfi` (scheme code) and
+ * `search_id` on every scheme, or on every folio row of a summary CAS.
+ *
+ * @param {object} casData
+ * @param {Map<string, object>|object} resolved - Resolver results keyed by ISIN.
+ */
+export function applyResolvedSchemes(casData, resolved) {
+  const lookup = (isin) =>
+    resolved instanceof Map ? resolved.get(isin) : resolved[isin];
+  const apply = (target) => {
+    const match = lookup(target.isin);
+    target.amfi = match?.scheme_code || target.amfi || null;
+    target.search_id = match?.search_id || target.search_id || null;
+  };
+
+  for (const folio of casData?.folios || []) {
+    if (casData.cas_type === "SUMMARY") apply(folio);
+    (folio.schemes || []).forEach(apply);
+  }
+  return casData;
+}
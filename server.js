@@ -4,14 +4,68 @@
  * @author Pabitra Swain - https://github.com/the-sdet
  * @license MIT
  */
+import crypto from "crypto";
 import express from "express";
-import fs from "fs/promises";
 import fetch from "node-fetch";
-import multer from "multer";
 import cors from "cors";
 import rateLimit from "express-rate-limit";
-import { PdfReader } from "pdfreader";
-import { parseCAS } from "./parser.js";
+import { parseCASFile } from "./cas-reader.js";
+import { AppError, ERROR_STATUS, errorResponse } from "./errors.js";
+import { createJobStore, createWorkerPool } from "./jobs.js";
+import {
+  createUploader,
+  isPDF,
+  removeUploads,
+  sweepUploads,
+  uploadConfigFromEnv,
+  uploadError,
+  uploadSource,
+} from "./uploads.js";
+import { computePortfolioReturns } from "./analytics.js";
+import {
+  GRANDFATHERING_DATE,
+  computeCapitalGains,
+  grandfatheringCandidates,
+} from "./capital-gains.js";
+import { computeDividendIncome } from "./dividends.js";
+import { planTaxHarvest } from "./tax-harvest.js";
+import { computeSipReport } from "./sip.js";
+import {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  flattenCAS,
+  toCSV,
+  toJSONL,
+  toXLSX,
+} from "./export.js";
+import { createCacheFromEnv, summariseCacheTraces } from "./cache.js";
+import { createNavStore } from "./nav-store.js";
+import { REDACT_MODES } from "./redact.js";
+import { createAmfiProvider } from "./amfi.js";
+import { buildFamilyPortfolio } from "./family.js";
+import { mergeStatements } from "./merge.js";
+import {
+  applyResolvedSchemes,
+  casSchemes,
+  createSchemeResolver,
+} from "./resolver.js";
+import { toDate } from "./transactions.js";
+import {
+  array,
+  boolean,
+  date,
+  flag,
+  invalidRequest,
+  isin,
+  number,
+  object,
+  record,
+  schemeCode,
+  searchKey,
+  string,
+  validate,
+  validateRequest,
+} from "./validation.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -57,8 +111,16 @@ app.use(
 console.log("🌍 Environment detected:", isLocal ? "LOCAL" : "RENDER");
 console.log("✅ Allowed Origins:", allowedOrigins.join(", "));
 
-app.use(express.json());
-const upload = multer({ dest: "uploads/" });
+app.use(express.json({ limit: "10mb" }));
+const uploadConfig = uploadConfigFromEnv();
+const upload = createUploader(uploadConfig);
+
+// Uploads are deleted once parsed, so any there at startup are left over from a crash
+sweepUploads(uploadConfig)
+  .then((removed) => {
+    if (removed) console.log(`🧹 Removed ${removed} stale uploads`);
+  })
+  .catch((err) => console.error("Error sweeping uploads:", err));
 
 // Health check
 app.get("/", (req, res) => {
@@ -67,8 +129,19 @@ app.get("/", (req, res) => {
     message: "MF Dashboard Backend API is running",
     endpoints: [
       "POST /api/parse-cas",
+      "GET /api/jobs/:id",
       "POST /api/mf-stats",
       "POST /api/update-nav-only",
+      "GET /api/nav/:schemeCode",
+      "POST /api/nav/bulk",
+      "POST /api/resolve-schemes",
+      "POST /api/merge-cas",
+      "POST /api/portfolio-returns",
+      "POST /api/capital-gains",
+      "POST /api/dividends",
+      "POST /api/tax-harvest",
+      "POST /api/sip-report",
+      "POST /api/export",
       "GET /api/benchmark-returns",
       "GET /api/benchmark-rolling-returns",
       "GET /api/benchmark-rolling-returns-all",
@@ -76,41 +149,6 @@ app.get("/", (req, res) => {
   });
 });
 
-// -------------------- DECRYPT & READ CAS FILE --------------------
-async function readCAS(filePath, password) {
-  return new Promise((resolve, reject) => {
-    let currentY = 0;
-    let line = "";
-    let output = [];
-    let currentPage = 0;
-
-    new PdfReader({ password }).parseFileItems(filePath, (err, item) => {
-      if (err) return reject(err);
-
-      if (!item) {
-        if (line.trim()) output.push(line.trim());
-        return resolve(output.join("\n"));
-      }
-
-      if (item.page) {
-        currentPage = item.page;
-        output.push(`\n=== Page ${currentPage} ===\n`);
-        currentY = 0;
-        return;
-      }
-
-      if (item.text) {
-        if (currentY && Math.abs(item.y - currentY) > 0.5) {
-          output.push(line.trim());
-          line = "";
-        }
-        currentY = item.y;
-        line += item.text + " ";
-      }
-    });
-  });
-}
-
 // -------------------- CONCURRENCY HELPER --------------------
 async function pLimit(tasks, concurrency) {
   const results = [];
@@ -145,8 +183,35 @@ function dedupFetch(key, fetchFn) {
   return promise;
 }
 
-async function getMFDetails(endpoint) {
-  return dedupFetch(`mfdetails:${endpoint}`, () => _getMFDetails(endpoint));
+// Memory LRU in front of an on-disk store by default; see cache.js for CACHE_* env vars.
+const cache = createCacheFromEnv();
+cache
+  .prune()
+  .then((n) => n && console.log(`🧹 Pruned ${n} expired cache entries`))
+  .catch((err) => console.error("Cache prune failed:", err.message));
+
+// Cached + coalesced upstream call. `source` picks the TTL (see CACHE_TTLS);
+// `trace`, when given, records the cache status under that source.
+async function cachedFetch(source, key, trace, fetchFn) {
+  const { value, status } = await dedupFetch(key, () =>
+    cache.wrap(source, key, fetchFn),
+  );
+  if (trace) trace[source] = status;
+  return value;
+}
+
+// Follows search_id renames learnt from earlier 308s, and records the
+// ISIN → scheme code / search_id mapping of every response for the resolver.
+async function getMFDetails(endpoint, trace) {
+  const searchId = await resolver.canonicalSearchId(endpoint);
+  const mfData = await cachedFetch(
+    "metadata",
+    `mfdetails:${searchId}`,
+    trace,
+    () => _getMFDetails(searchId),
+  );
+  if (mfData) await resolver.learn(mfData);
+  return mfData;
 }
 async function _getMFDetails(endpoint) {
   const url =
@@ -175,6 +240,7 @@ async function _getMFDetails(endpoint) {
 
       const newKey = redirectUrl.split("/").pop();
       console.log(`🔄 search_key redirected: ${endpoint} → ${newKey}`);
+      await resolver.learnRedirect(endpoint, newKey);
       const redirected = await fetch(redirectUrl);
       if (!redirected.ok) throw new Error(`HTTP error! ${redirected.status}`);
       const data = await redirected.json();
@@ -190,8 +256,33 @@ async function _getMFDetails(endpoint) {
   }
 }
 
-async function getFundStats(schemeCode) {
-  return dedupFetch(`fundstats:${schemeCode}`, async () => {
+// Groww scheme search; resolves to [{ search_id, title, ... }] of scheme results only.
+async function searchGrowwSchemes(query) {
+  return cachedFetch("metadata", `search:${query}`, null, async () => {
+    const params = new URLSearchParams({
+      app: false,
+      entity_type: "scheme",
+      page: 0,
+      q: query,
+      size: 6,
+    });
+    const url = `https://groww.in/v1/api/search/v1/entity?${params}`;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP error! ${response.status}`);
+      const body = await response.json();
+      return (body?.content || []).filter(
+        (item) => String(item.entity_type).toLowerCase() === "scheme",
+      );
+    } catch (err) {
+      console.error("Error searching schemes:", err);
+      return [];
+    }
+  });
+}
+
+async function getFundStats(schemeCode, trace) {
+  return cachedFetch("stats", `fundstats:${schemeCode}`, trace, async () => {
     const url = `https://groww.in/v1/api/data/mf/web/v1/scheme/portfolio/${schemeCode}/stats`;
     try {
       const response = await fetch(url);
@@ -206,7 +297,7 @@ async function getFundStats(schemeCode) {
 
 async function getSimilarSchemes(category, subCategory, planType, schemeType) {
   const key = `similar:${category}:${subCategory}:${planType}:${schemeType}`;
-  return dedupFetch(key, async () => {
+  return cachedFetch("similar", key, null, async () => {
     const params = new URLSearchParams({
       category,
       plan_type: planType,
@@ -226,8 +317,8 @@ async function getSimilarSchemes(category, subCategory, planType, schemeType) {
   });
 }
 
-async function getFundNAVHistory(schemeCode) {
-  return dedupFetch(`navhistory:${schemeCode}`, async () => {
+async function getFundNAVHistory(schemeCode, trace) {
+  return cachedFetch("nav", `navhistory:${schemeCode}`, trace, async () => {
     const url = `https://api.mfapi.in/mf/${schemeCode}`;
     try {
       const response = await fetch(url);
@@ -242,9 +333,10 @@ async function getFundNAVHistory(schemeCode) {
 
 // Fetch NAV entries from startDate (DD-MM-YYYY) onwards.
 // Converts to YYYY-MM-DD for the query param; AMFI returns DD-MM-YYYY in data.
-async function getFundNavSince(schemeCode, startDate) {
+async function getFundNavSince(schemeCode, startDate, trace) {
   const paramDate = startDate.split("-").reverse().join("-");
-  return dedupFetch(`navsince:${schemeCode}:${paramDate}`, async () => {
+  const key = `navsince:${schemeCode}:${paramDate}`;
+  return cachedFetch("nav", key, trace, async () => {
     const url = `https://api.mfapi.in/mf/${schemeCode}?startDate=${paramDate}`;
     try {
       const response = await fetch(url);
@@ -257,8 +349,8 @@ async function getFundNavSince(schemeCode, startDate) {
   });
 }
 
-async function getFundLatestNAV(schemeCode) {
-  return dedupFetch(`navlatest:${schemeCode}`, async () => {
+async function getFundLatestNAV(schemeCode, trace) {
+  return cachedFetch("nav", `navlatest:${schemeCode}`, trace, async () => {
     const url = `https://api.mfapi.in/mf/${schemeCode}/latest`;
     try {
       const response = await fetch(url);
@@ -271,6 +363,51 @@ async function getFundLatestNAV(schemeCode) {
   });
 }
 
+// Local NAV time series, seeded from the full mfapi history once per scheme and
+// topped up with getFundNavSince after each NAV publication.
+const navStore = createNavStore({
+  fetchHistory: (schemeCode) => getFundNAVHistory(schemeCode),
+  fetchSince: (schemeCode, startDate) => getFundNavSince(schemeCode, startDate),
+});
+
+// Official AMFI NAVAll.txt; AMFI_NAVALL_FILE points it at a saved copy instead.
+const amfi = createAmfiProvider();
+
+// ISIN → AMFI scheme code → Groww search_id, learning from Groww responses as it goes
+const resolver = createSchemeResolver({
+  amfi,
+  searchSchemes: searchGrowwSchemes,
+  getMFDetails,
+});
+
+// Resolves every scheme of a parsed CAS; returns a Map keyed by ISIN.
+async function resolveCASSchemes(casData) {
+  const resolved = new Map();
+  const tasks = casSchemes(casData).map(({ isin, scheme }) => async () => {
+    resolved.set(isin, await resolver.resolve(isin, { scheme }));
+  });
+  await pLimit(tasks, 5);
+  return resolved;
+}
+
+// Reads the NAV store and records its status under `trace.nav`.
+// range: { from, to } in DD-MM-YYYY, DD-Mon-YYYY or YYYY-MM-DD, both inclusive.
+async function getStoredNavHistory(schemeCode, range = {}, trace = null) {
+  const history = await navStore.getHistory(schemeCode, range);
+  if (trace) trace.nav = history?.status || "miss";
+  return history;
+}
+
+// mfapi history is newest-first with DD-MM-YYYY dates; returns the NAV on the
+// given ISO date, or the last one published before it (holidays/weekends).
+function navOnOrBefore(history, isoDate) {
+  for (const entry of history?.data || []) {
+    const entryIso = entry.date.split("-").reverse().join("-");
+    if (entryIso <= isoDate) return parseFloat(entry.nav) || null;
+  }
+  return null;
+}
+
 function _buildFundBase(mfData) {
   return {
     amc: mfData.amc_info.name,
@@ -315,15 +452,18 @@ function _buildFundBase(mfData) {
 // lastNavDate (DD-MM-YYYY): if provided, fetches only entries since that date instead of full history.
 async function getFundDetails(searchKey, lastNavDate = null) {
   try {
-    const mfData = await getMFDetails(searchKey);
+    const trace = {};
+    const mfData = await getMFDetails(searchKey, trace);
     if (!mfData || !mfData.scheme_code) return null;
 
-    const navFetch = lastNavDate
-      ? getFundNavSince(mfData.scheme_code, lastNavDate)
-      : getFundNAVHistory(mfData.scheme_code);
+    const navFetch = getStoredNavHistory(
+      mfData.scheme_code,
+      { from: lastNavDate },
+      trace,
+    );
 
     const [stats, navHistory] = await Promise.all([
-      getFundStats(mfData.scheme_code),
+      getFundStats(mfData.scheme_code, trace),
       navFetch,
     ]);
 
@@ -336,6 +476,7 @@ async function getFundDetails(searchKey, lastNavDate = null) {
       nav_history_delta: lastNavDate ? true : false,
       meta: navHistory?.meta || {},
       similar_schemes: [],
+      _cache: trace,
     };
   } catch (err) {
     console.error("Error fetching fund details:", err);
@@ -351,14 +492,17 @@ async function getFundDetailsLight(
   lastNavDate = null,
 ) {
   try {
-    const mfData = await getMFDetails(searchKey);
+    const trace = {};
+    const mfData = await getMFDetails(searchKey, trace);
     if (!mfData || !mfData.scheme_code) return null;
 
     let navHistory = null;
     if (includeNav) {
-      navHistory = lastNavDate
-        ? await getFundNavSince(mfData.scheme_code, lastNavDate)
-        : await getFundNAVHistory(mfData.scheme_code);
+      navHistory = await getStoredNavHistory(
+        mfData.scheme_code,
+        { from: lastNavDate },
+        trace,
+      );
     }
 
     return {
@@ -371,6 +515,7 @@ async function getFundDetailsLight(
       meta: navHistory?.meta || {},
       similar_schemes: [],
       _is_past: true,
+      _cache: trace,
     };
   } catch (err) {
     console.error("Error fetching light fund details:", err);
@@ -414,38 +559,395 @@ async function fetchMFStats(
 }
 
 // -------------------- API ENDPOINTS --------------------
-app.post("/api/parse-cas", upload.single("file"), async (req, res) => {
-  const filePath = req.file.path;
-  const password = req.body.password || "";
-  try {
-    const casExtract = await readCAS(filePath, password);
-    const result = parseCAS(casExtract);
+// Error responses carry a stable `code` and its HTTP status - see errors.js
+function sendError(res, err) {
+  const { status, body } = errorResponse(err);
+  res.status(status).json(body);
+}
+
+// Request schemas shared by several routes; invalid requests get a 400
+// INVALID_REQUEST listing every bad field - see validation.js
+
+// Last NAV date a client already has, as mfapi (DD-MM-YYYY) or a CAS (DD-Mon-YYYY) prints it
+const lastNavDate = () =>
+  date(["DD-MM-YYYY", "DD-Mon-YYYY"], { optional: true });
 
-    await fs.unlink(filePath).catch(() => {});
+// Valuation dates of the analytics routes
+const asOfDate = () => date(["YYYY-MM-DD", "DD-MM-YYYY"], { optional: true });
+
+// A parsed CAS: the `data` object of /api/parse-cas
+const casData = (options) =>
+  object({ folios: array(object({}), { max: 1000 }) }, options);
+
+// Financial year filter of the tax reports, e.g. FY2024-25
+const financialYearFilter = () =>
+  string({
+    pattern: /^(FY)?\d{4}-\d{2}$/i,
+    optional: true,
+    message: 'must be a financial year like "FY2024-25"',
+  });
+
+// Per-ISIN maps clients pass back in, e.g. the `data` object of /api/mf-stats
+const byIsin = () => record(object({}), { max: 1000, optional: true });
+
+// An optional from/to pair of the NAV routes, plus the other `fields`
+const navRange = (fields) =>
+  object(
+    {
+      ...fields,
+      from: date(["DD-MM-YYYY", "YYYY-MM-DD"], { optional: true }),
+      to: date(["DD-MM-YYYY", "YYYY-MM-DD"], { optional: true }),
+    },
+    {
+      check: ({ from, to }) =>
+        from && to && toDate(from) > toDate(to)
+          ? [{ field: "from", message: "must not be after to" }]
+          : [],
+    },
+  );
+
+// `file` for a single statement; `files` (up to 10) for a family portfolio
+const casFields = upload.fields([
+  { name: "file", maxCount: 1 },
+  { name: "files", maxCount: 10 },
+]);
+
+// Receives the upload, answering limit and type errors with JSON, and refuses
+// files that do not start like a PDF whatever their name says
+function casUpload(req, res, next) {
+  casFields(req, res, async (err) => {
+    if (err) return sendError(res, uploadError(err, uploadConfig));
+
+    const files = Object.values(req.files || {}).flat();
+    try {
+      for (const file of files) {
+        if (!(await isPDF(file))) {
+          await removeUploads(files);
+          return sendError(
+            res,
+            new AppError("NOT_A_PDF", `${file.originalname} is not a PDF`),
+          );
+        }
+      }
+    } catch (checkErr) {
+      await removeUploads(files);
+      return next(checkErr);
+    }
+    next();
+  });
+}
+
+// Per-file passwords for a multi-file upload: a JSON array in `passwords`, repeated
+// `passwords` fields in file order, or a single `password` shared by every file.
+function uploadPasswords(body, count) {
+  let passwords = body.passwords;
+  if (typeof passwords === "string") {
+    try {
+      passwords = JSON.parse(passwords);
+    } catch {
+      passwords = [passwords];
+    }
+  }
+  if (!Array.isArray(passwords)) passwords = [];
+  return Array.from(
+    { length: count },
+    (_, i) => passwords[i] ?? body.password ?? "",
+  );
+}
+
+const wantsResolve = (req) => ["1", "true"].includes(String(req.query.resolve));
+const wantsAnalytics = (req) =>
+  ["1", "true"].includes(String(req.query.analytics));
+const wantsVerbose = (req) => ["1", "true"].includes(String(req.query.verbose));
+
+const wantsAsync = (req) => ["1", "true"].includes(String(req.query.async));
+
+// One statement. Resolves to the { status, body } to respond with; `parseFile` is
+// parseCASFile() or its worker-pool equivalent for background jobs.
+async function parseSingleCAS(file, options, parseFile) {
+  const { verbose, redact, redactSalt } = options;
+  try {
+    const { warnings, ...result } = await parseFile(
+      uploadSource(file),
+      options.passwords[0],
+      // Opt-in: ?verbose=1 lists every line the parser ignored or could not understand;
+      // ?redact=pii replaces PAN, contact details, names and folio numbers with tokens
+      { verbose, redact, redactSalt },
+    );
 
     if (
       !result ||
       !Array.isArray(result.folios) ||
       result.folios.length === 0
     ) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid CAS file or no folios found",
+      const { status, body } = errorResponse(
+        new AppError("NO_FOLIOS", "No folios found in the statement"),
+      );
+      return { status, body: { ...body, ...(verbose && { warnings }) } };
+    }
+
+    // Opt-in: ?resolve=1 fills `amfi` (scheme code) and `search_id` on every scheme
+    if (options.resolve) {
+      applyResolvedSchemes(result, await resolveCASSchemes(result));
+    }
+
+    // Opt-in: ?analytics=1 adds XIRR/CAGR/holding-period numbers from the statement valuation
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: "CAS parsed successfully",
+        data: result,
+        ...(options.analytics && {
+          analytics: computePortfolioReturns(result),
+        }),
+        ...(verbose && { warnings }),
+      },
+    };
+  } catch (err) {
+    console.error("CAS parsing error:", err);
+    return errorResponse(err);
+  } finally {
+    await removeUploads([file]);
+  }
+}
+
+// Several statements (family members, or overlapping statements of one investor)
+// merged into one portfolio keyed by PAN. Files that fail are reported, not fatal.
+async function parseFamilyCAS(files, options, parseFile) {
+  const { passwords, verbose, redact, redactSalt } = options;
+  const statements = [];
+  const errors = [];
+  const warnings = [];
+
+  try {
+    for (const [i, file] of files.entries()) {
+      try {
+        const { warnings: fileWarnings = [], ...result } = await parseFile(
+          uploadSource(file),
+          passwords[i],
+          { verbose, redact, redactSalt },
+        );
+        warnings.push(
+          ...fileWarnings.map((w) => ({ file: file.originalname, ...w })),
+        );
+        if (!Array.isArray(result?.folios) || result.folios.length === 0) {
+          errors.push({
+            file: file.originalname,
+            error: "No folios found in the statement",
+            code: "NO_FOLIOS",
+          });
+          continue;
+        }
+        if (options.resolve) {
+          applyResolvedSchemes(result, await resolveCASSchemes(result));
+        }
+        statements.push({ data: result, file: file.originalname });
+      } catch (err) {
+        console.error(`CAS parsing error (${file.originalname}):`, err);
+        const { error, code } = errorResponse(err).body;
+        errors.push({ file: file.originalname, error, code });
+      }
+    }
+
+    if (statements.length === 0) {
+      // When every file failed the same way, answer as for that error
+      const codes = new Set(errors.map((e) => e.code));
+      const code = codes.size === 1 ? [...codes][0] : undefined;
+      return {
+        status: code ? ERROR_STATUS[code] : 422,
+        body: {
+          success: false,
+          error: "None of the uploaded files could be parsed",
+          ...(code && { code }),
+          errors,
+          ...(verbose && { warnings }),
+        },
+      };
+    }
+
+    const family = buildFamilyPortfolio(statements);
+    if (options.analytics) {
+      family.investors.forEach((investor) => {
+        investor.analytics = computePortfolioReturns(investor);
       });
     }
 
-    res.json({
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: `Parsed ${statements.length} of ${files.length} statements for ${family.investors.length} investors`,
+        data: family,
+        errors,
+        ...(verbose && { warnings }),
+      },
+    };
+  } catch (err) {
+    console.error("Family CAS error:", err);
+    return errorResponse(err);
+  } finally {
+    await removeUploads(files);
+  }
+}
+
+// PDF extraction and parsing are CPU-bound, so background jobs run them on a
+// worker_threads pool; resolving and merging stay on the main thread.
+const casWorkers = createWorkerPool({
+  file: new URL("./cas-worker.js", import.meta.url),
+  size: parseInt(process.env.CAS_WORKERS, 10) || 2,
+});
+const jobs = createJobStore({
+  ttlMs: (parseInt(process.env.JOB_TTL_MINUTES, 10) || 30) * 60 * 1000,
+  maxQueued: parseInt(process.env.JOB_QUEUE_MAX, 10) || 20,
+});
+
+// parseCASFile() on the worker pool, adding the pages read to the job's progress
+function workerParseFile(job) {
+  let pagesDone = 0;
+  return async (source, password, options) => {
+    let pages = 0;
+    try {
+      return await casWorkers.run(
+        { source, password, options },
+        {
+          onStart: job.start,
+          onProgress: (progress) => {
+            pages = progress.pages;
+            job.update({ pages: pagesDone + pages });
+          },
+        },
+      );
+    } finally {
+      pagesDone += pages;
+      job.update({ files_done: job.progress.files_done + 1 });
+    }
+  };
+}
+
+// Checked before the upload is received, so a bad query costs no disk or parsing
+const parseCASRequest = validateRequest({
+  query: object({
+    async: flag(),
+    resolve: flag(),
+    analytics: flag(),
+    verbose: flag(),
+    redact: string({ enum: REDACT_MODES, optional: true }),
+  }),
+});
+
+/**
+ * POST /api/parse-cas
+ *
+ * Parses one CAS PDF (`file`), or several (`files`) into a family portfolio.
+ * With ?async=1 the upload is queued instead: the response is 202 with a job id
+ * to poll at GET /api/jobs/:id.
+ */
+app.post("/api/parse-cas", parseCASRequest, casUpload, async (req, res) => {
+  const single = req.files?.file?.[0];
+  const many = req.files?.files || [];
+  const files = single ? [single, ...many] : many;
+  if (files.length === 0) {
+    return sendError(
+      res,
+      new AppError("INVALID_UPLOAD", "file or files upload required"),
+    );
+  }
+
+  const { redact } = req.query;
+
+  // Read up front so a background job does not need the request
+  const options = {
+    passwords:
+      many.length > 0
+        ? uploadPasswords(req.body, files.length)
+        : [req.body.password || ""],
+    verbose: wantsVerbose(req),
+    resolve: wantsResolve(req),
+    analytics: wantsAnalytics(req),
+    redact: redact || null,
+    // Tokens are consistent within a request (across a family's statements too);
+    // REDACT_SALT makes them consistent across requests
+    redactSalt: process.env.REDACT_SALT || crypto.randomUUID(),
+  };
+  const parseUpload = (parseFile) =>
+    many.length > 0
+      ? parseFamilyCAS(files, options, parseFile)
+      : parseSingleCAS(single, options, parseFile);
+
+  if (wantsAsync(req)) {
+    // Queued jobs hold their uploads until they run, so the queue is bounded
+    if (jobs.full) {
+      await removeUploads(files);
+      return sendError(
+        res,
+        new AppError(
+          "QUEUE_FULL",
+          "Too many CAS parsing jobs queued; retry later",
+        ),
+      );
+    }
+    const job = jobs.create((job) => parseUpload(workerParseFile(job)), {
+      files: files.length,
+      files_done: 0,
+      pages: 0,
+    });
+    return res.status(202).json({
       success: true,
-      message: "CAS parsed successfully",
-      data: result,
+      message: "CAS parsing queued",
+      data: {
+        job_id: job.id,
+        status: job.status,
+        status_url: `/api/jobs/${job.id}`,
+      },
     });
-  } catch (err) {
-    console.error("CAS parsing error:", err);
-    res.status(500).json({ success: false, error: err.message });
   }
+
+  const { status, body } = await parseUpload(parseCASFile);
+  res.status(status).json(body);
 });
 
-app.post("/api/mf-stats", async (req, res) => {
+/**
+ * GET /api/jobs/:id
+ *
+ * Status of a background job started with ?async=1.
+ *
+ * @param {string} id - The `job_id` returned when the job was queued.
+ *
+ * @returns {object} data - { id, status: queued | running | done | failed, progress: { files,
+ *   files_done, pages }, created_at, started_at, finished_at, expires_at, result, error }.
+ *   `result` is the body the synchronous request would have returned.
+ */
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return sendError(
+      res,
+      new AppError("NOT_FOUND", "Job not found or expired"),
+    );
+  }
+
+  res.json({
+    success: true,
+    message: `Job ${job.status}`,
+    data: job,
+  });
+});
+
+const mfStatsRequest = validateRequest({
+  body: object({
+    searchKeys: array(searchKey(), { max: 200 }),
+    lightSearchKeys: array(searchKey(), { max: 200, optional: true }),
+    lightIncludeNav: boolean({ optional: true }),
+    navDates: record(lastNavDate(), {
+      key: searchKey(),
+      max: 400,
+      optional: true,
+    }),
+  }),
+});
+
+app.post("/api/mf-stats", mfStatsRequest, async (req, res) => {
   try {
     const {
       searchKeys,
@@ -454,12 +956,6 @@ app.post("/api/mf-stats", async (req, res) => {
       navDates = {},
     } = req.body;
 
-    if (!searchKeys || !Array.isArray(searchKeys)) {
-      return res
-        .status(400)
-        .json({ success: false, error: "searchKeys array required" });
-    }
-
     const data = await fetchMFStats(
       searchKeys,
       lightSearchKeys,
@@ -467,26 +963,53 @@ app.post("/api/mf-stats", async (req, res) => {
       navDates,
     );
 
+    // The fetch helpers answer null when Groww fails; none at all means it is down
+    const requested = searchKeys.length + lightSearchKeys.length;
+    if (requested > 0 && Object.keys(data).length === 0) {
+      return sendError(
+        res,
+        new AppError(
+          "UPSTREAM_UNAVAILABLE",
+          `Could not fetch any of the ${requested} funds from Groww`,
+        ),
+      );
+    }
+
     res.json({
       success: true,
       message: `Fetched stats for ${searchKeys.length} active + ${lightSearchKeys.length} past funds`,
       data,
+      cache: {
+        backend: cache.backend,
+        ...summariseCacheTraces(Object.values(data).map((fd) => fd._cache)),
+      },
     });
   } catch (err) {
     console.error("Error fetching MF stats:", err);
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err);
   }
 });
 
-app.post("/api/mf-peers", async (req, res) => {
+const mfPeersRequest = validateRequest({
+  body: object({
+    funds: array(
+      object({
+        isin: isin(),
+        category: string({ maxLength: 100, optional: true }),
+        sub_category: string({ maxLength: 100, optional: true }),
+        plan_type: string({ maxLength: 20, optional: true }),
+        scheme_type: string({ maxLength: 50, optional: true }),
+      }),
+      { min: 1, max: 100 },
+    ),
+    include_details: boolean({ optional: true }),
+  }),
+});
+
+app.post("/api/mf-peers", mfPeersRequest, async (req, res) => {
   try {
-    const { funds } = req.body;
     // funds: [{ isin, category, sub_category, plan_type, scheme_type }]
-    if (!funds || !Array.isArray(funds) || funds.length === 0) {
-      return res
-        .status(400)
-        .json({ success: false, error: "funds array required" });
-    }
+    const { funds } = req.body;
 
     const includeDetails = req.body.include_details !== false;
     const CONCURRENCY = 5;
@@ -528,51 +1051,80 @@ app.post("/api/mf-peers", async (req, res) => {
     });
   } catch (err) {
     console.error("Error fetching MF peers:", err);
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err);
   }
 });
 
-app.post("/api/update-nav-only", async (req, res) => {
-  try {
-    const { navUpdateData } = req.body;
-
-    if (!navUpdateData || typeof navUpdateData !== "object") {
-      return res
-        .status(400)
-        .json({ success: false, error: "navUpdateData required" });
+// NAV sources for /api/update-nav-only, tried in order. NAV_SOURCES=amfi,mfapi flips it.
+const NAV_SOURCES = (process.env.NAV_SOURCES || "mfapi,amfi")
+  .split(",")
+  .map((source) => source.trim().toLowerCase())
+  .filter(Boolean);
+
+// NAV entries for one fund from the first source that answers. A source serving
+// stale data only wins if every other source fails.
+async function getNavUpdate(isin, schemeCode, lastNavDate) {
+  let fallback = null;
+
+  for (const source of NAV_SOURCES) {
+    let result = null;
+    let stale = false;
+
+    if (source === "mfapi" && schemeCode) {
+      // NAV store: entries from last_nav_date on; mfapi's latest NAV if it can't be seeded
+      const history = await getStoredNavHistory(schemeCode, {
+        from: lastNavDate,
+      });
+      result = history || (await getFundLatestNAV(schemeCode));
+      stale = history?.status === "stale";
+    } else if (source === "amfi") {
+      // NAVAll.txt only has the latest day; it is keyed by ISIN too
+      result = await amfi.getLatestNAV(schemeCode || isin);
     }
 
-    const isins = Object.keys(navUpdateData);
+    if (!result?.data?.[0]) continue;
+    if (!stale) return { ...result, source };
+    fallback ??= { ...result, source };
+  }
 
-    if (isins.length === 0) {
-      return res
-        .status(400)
-        .json({ success: false, error: "No ISINs provided in navUpdateData" });
-    }
+  if (!fallback) console.warn(`No NAV source had data for ISIN ${isin}`);
+  return fallback;
+}
+
+const updateNavRequest = validateRequest({
+  body: object({
+    navUpdateData: record(
+      object({
+        scheme_code: schemeCode({ optional: true }),
+        last_nav_date: lastNavDate(),
+      }),
+      { key: isin(), min: 1, max: 500 },
+    ),
+  }),
+});
+
+app.post("/api/update-nav-only", updateNavRequest, async (req, res) => {
+  try {
+    const { navUpdateData } = req.body;
+    const isins = Object.keys(navUpdateData);
 
     const navUpdates = {};
     let updatedCount = 0;
+    let answeredCount = 0;
 
     const CONCURRENCY = 10;
     const tasks = isins.map((isin) => async () => {
       const { scheme_code, last_nav_date } = navUpdateData[isin];
 
-      if (!scheme_code) {
-        console.warn(`No scheme_code for ISIN ${isin}, skipping`);
-        return;
-      }
-
-      // Use date-range fetch when we know the last update date, otherwise latest only.
-      const result = last_nav_date
-        ? await getFundNavSince(scheme_code, last_nav_date)
-        : await getFundLatestNAV(scheme_code);
-
+      const result = await getNavUpdate(isin, scheme_code, last_nav_date);
       if (!result?.data?.[0]) return;
+      answeredCount++;
 
-      // Filter out the entry matching last_nav_date — AMFI startDate is inclusive.
+      // The range is inclusive, so drop last_nav_date itself
+      const lastDate = toDate(last_nav_date);
       const newEntries = last_nav_date
-        ? result.data.filter((e) => e.date !== last_nav_date)
-        : result.data;
+        ? result.data.filter((e) => !lastDate || toDate(e.date) > lastDate)
+        : result.data.slice(0, 1);
 
       if (newEntries.length === 0) return;
 
@@ -580,12 +1132,24 @@ app.post("/api/update-nav-only", async (req, res) => {
         latest_nav: newEntries[0].nav,
         latest_nav_date: newEntries[0].date,
         nav_entries: newEntries,
+        source: result.source,
       };
       updatedCount++;
     });
 
     await pLimit(tasks, CONCURRENCY);
 
+    // No new NAV is a normal answer; no NAV from any source for any fund is not
+    if (answeredCount === 0) {
+      return sendError(
+        res,
+        new AppError(
+          "UPSTREAM_UNAVAILABLE",
+          `No NAV source (${NAV_SOURCES.join(", ")}) answered for any of the ${isins.length} funds`,
+        ),
+      );
+    }
+
     res.json({
       success: true,
       message: `Found new NAV for ${updatedCount} out of ${isins.length} funds`,
@@ -593,7 +1157,559 @@ app.post("/api/update-nav-only", async (req, res) => {
     });
   } catch (err) {
     console.error("Error updating NAV:", err);
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err);
+  }
+});
+
+const navHistoryRequest = validateRequest({
+  params: object({ schemeCode: schemeCode() }),
+  query: navRange({}),
+});
+
+/**
+ * GET /api/nav/:schemeCode?from=&to=
+ *
+ * NAV history of one scheme from the server-side store, synced incrementally from
+ * mfapi.in. Same shape as mfapi: newest first, DD-MM-YYYY dates.
+ *
+ * @param {string} schemeCode - AMFI scheme code, e.g. 151278
+ * @query {string} [from]     - Start date, inclusive (DD-MM-YYYY or YYYY-MM-DD)
+ * @query {string} [to]       - End date, inclusive (DD-MM-YYYY or YYYY-MM-DD)
+ *
+ * @returns {object} data - { scheme_code, meta, synced_at, latest_nav, latest_nav_date, nav_history[] }
+ */
+app.get("/api/nav/:schemeCode", navHistoryRequest, async (req, res) => {
+  try {
+    const { schemeCode } = req.params;
+    const { from, to } = req.query;
+
+    const history = await getStoredNavHistory(schemeCode, { from, to });
+    if (!history) {
+      return sendError(
+        res,
+        new AppError(
+          "NOT_FOUND",
+          `No NAV history found for scheme ${schemeCode}`,
+        ),
+      );
+    }
+
+    res.json({
+      success: true,
+      message: `Fetched ${history.data.length} NAV entries`,
+      data: formatNavHistory(history),
+    });
+  } catch (err) {
+    console.error("Error fetching NAV history:", err);
+    sendError(res, err);
+  }
+});
+
+const bulkNavRequest = validateRequest({
+  body: object({
+    schemes: array(navRange({ scheme_code: schemeCode() }), {
+      min: 1,
+      max: 50,
+    }),
+  }),
+});
+
+/**
+ * POST /api/nav/bulk
+ *
+ * NAV history for several schemes in one call. Each entry may carry its own range.
+ *
+ * @body {object[]} schemes - [{ scheme_code, from?, to? }], at most 50
+ *
+ * @returns {object} data - { [scheme_code]: { scheme_code, meta, synced_at, latest_nav, latest_nav_date, nav_history[] } }
+ *   Schemes without history are listed in `missing`.
+ */
+app.post("/api/nav/bulk", bulkNavRequest, async (req, res) => {
+  try {
+    const { schemes } = req.body;
+
+    const data = {};
+    const missing = [];
+    const tasks = schemes.map(({ scheme_code, from, to }) => async () => {
+      const history = await getStoredNavHistory(scheme_code, { from, to });
+      if (history) data[scheme_code] = formatNavHistory(history);
+      else missing.push(String(scheme_code));
+    });
+    await pLimit(tasks, 5);
+
+    res.json({
+      success: true,
+      message: `Fetched NAV history for ${Object.keys(data).length} out of ${schemes.length} schemes`,
+      data,
+      missing,
+    });
+  } catch (err) {
+    console.error("Error fetching bulk NAV history:", err);
+    sendError(res, err);
+  }
+});
+
+function formatNavHistory(history) {
+  return {
+    scheme_code: history.scheme_code,
+    meta: history.meta,
+    synced_at: history.synced_at,
+    latest_nav: history.data[0]?.nav || null,
+    latest_nav_date: history.data[0]?.date || null,
+    nav_history: history.data,
+  };
+}
+
+const resolveSchemesRequest = validateRequest({
+  body: object(
+    {
+      isins: array(isin(), { min: 1, max: 100, optional: true }),
+      schemes: array(
+        object({
+          isin: isin(),
+          scheme: string({ maxLength: 200, optional: true }),
+        }),
+        { min: 1, max: 100, optional: true },
+      ),
+      data: casData({ optional: true }),
+    },
+    {
+      check: ({ isins, schemes, data }) =>
+        isins || schemes || data
+          ? []
+          : [{ field: "", message: "isins, schemes or data is required" }],
+    },
+  ),
+});
+
+// The schemes of a CAS sent as `data`
+const casISINs = array(object({ isin: isin() }), {
+  min: 1,
+  max: 100,
+  message: "must hold between 1 and 100 schemes",
+});
+
+/**
+ * POST /api/resolve-schemes
+ *
+ * Maps ISINs to AMFI scheme codes (for /api/update-nav-only and /api/nav) and Groww
+ * search ids (for /api/mf-stats). Sources: mappings learnt from earlier Groww responses,
+ * the AMFI NAVAll.txt index, then Groww search verified against the scheme's ISIN.
+ *
+ * @body {string[]} [isins] - Up to 100 ISINs
+ * @body {object[]} [schemes] - Or up to 100 × { isin, scheme } - the CAS scheme name helps the search
+ * @body {object} [data] - Or a parsed CAS (the `data` object of /api/parse-cas)
+ *
+ * @returns {object} data - { [isin]: { isin, scheme_code, search_id, scheme_name, source } },
+ *   plus `unresolved` - ISINs for which neither id was found
+ */
+app.post("/api/resolve-schemes", resolveSchemesRequest, async (req, res) => {
+  try {
+    const { isins, schemes, data } = req.body;
+
+    let entries;
+    if (isins) {
+      entries = isins.map((isin) => ({ isin }));
+    } else if (schemes) {
+      entries = schemes;
+    } else {
+      // A CAS's ISINs are only known once its schemes are read
+      entries = casSchemes(data);
+      const errors = validate(casISINs, entries, "data");
+      if (errors.length > 0) {
+        return sendError(
+          res,
+          invalidRequest(errors.map((e) => ({ location: "body", ...e }))),
+        );
+      }
+    }
+
+    const resolved = {};
+    const tasks = entries.map((e) => async () => {
+      const result = await resolver.resolve(e.isin, { scheme: e.scheme });
+      resolved[result.isin] = result;
+    });
+    await pLimit(tasks, 5);
+
+    const unresolved = Object.values(resolved)
+      .filter((r) => !r.scheme_code && !r.search_id)
+      .map((r) => r.isin);
+
+    res.json({
+      success: true,
+      message: `Resolved ${Object.keys(resolved).length - unresolved.length} out of ${Object.keys(resolved).length} ISINs`,
+      data: resolved,
+      unresolved,
+    });
+  } catch (err) {
+    console.error("Error resolving schemes:", err);
+    sendError(res, err);
+  }
+});
+
+const mergeCASRequest = validateRequest({
+  body: object({ statements: array(casData(), { min: 2, max: 20 }) }),
+});
+
+/**
+ * POST /api/merge-cas
+ *
+ * Merges successive or overlapping statements of one investor (e.g. FY-wise detailed CAS
+ * downloads) into one continuous history. Transactions present in more than one statement are
+ * kept once (matched on folio, ISIN, date, type, units and amount); each statement's opening
+ * balance is checked against the previous one, and periods no detailed statement covers are
+ * reported as gaps.
+ *
+ * @body {object[]} statements - 2 to 20 parsed CAS (`data` objects of /api/parse-cas), any order
+ *
+ * @returns {object} data - CAS-shaped (`cas_type: "MERGED"`) with a `merge_report`:
+ *   { statements[], gaps[], chain_breaks[], balance_mismatches[], duplicates_removed, merged_schemes[] }.
+ *   Statement indexes refer to the order they were sent in.
+ */
+app.post("/api/merge-cas", mergeCASRequest, async (req, res) => {
+  try {
+    const { statements } = req.body;
+
+    const merged = mergeStatements(statements);
+    const report = merged.merge_report;
+
+    res.json({
+      success: true,
+      message: `Merged ${statements.length} statements: ${report.duplicates_removed} duplicate transactions removed, ${report.gaps.length} gaps, ${report.chain_breaks.length} chain breaks`,
+      data: merged,
+    });
+  } catch (err) {
+    console.error("Error merging CAS statements:", err);
+    sendError(res, err);
+  }
+});
+
+const returnsRequest = validateRequest({
+  body: object({ data: casData(), navs: byIsin(), as_of: asOfDate() }),
+});
+
+/**
+ * POST /api/portfolio-returns
+ *
+ * Computes XIRR, CAGR, absolute gain, invested amount and average holding days
+ * at scheme, folio, AMC and portfolio level for a parsed CAS.
+ *
+ * @body {object} data     - The `data` object returned by /api/parse-cas.
+ * @body {object} [navs]   - Latest NAVs keyed by ISIN, e.g. the `data` object of /api/mf-stats.
+ *   Only `latest_nav` and `latest_nav_date` are read; overrides the statement valuation.
+ * @body {string} [as_of]  - Valuation date (YYYY-MM-DD or DD-MM-YYYY). Defaults to the newest
+ *   NAV date in `navs`, then the statement end date.
+ *
+ * @returns {object} data - { as_of, portfolio, amcs[], folios[] → schemes[] }
+ */
+app.post("/api/portfolio-returns", returnsRequest, async (req, res) => {
+  try {
+    const { data, navs = {}, as_of } = req.body;
+
+    const returns = computePortfolioReturns(data, { navs, asOf: as_of });
+
+    res.json({
+      success: true,
+      message: `Computed returns for ${data.folios.length} folios`,
+      data: returns,
+    });
+  } catch (err) {
+    console.error("Error computing portfolio returns:", err);
+    sendError(res, err);
+  }
+});
+
+// Grandfathering needs the NAV on 31-Jan-2018 for anything bought on or before it
+async function fetchGrandfatheredNavs(casData, funds) {
+  const grandfatheredNavs = {};
+  const tasks = grandfatheringCandidates(casData).map((isin) => async () => {
+    const fund = funds[isin] || {};
+    if (fund.nav_31jan2018) {
+      grandfatheredNavs[isin] = parseFloat(fund.nav_31jan2018);
+      return;
+    }
+    if (!fund.scheme_code) return;
+
+    const history = await getStoredNavHistory(fund.scheme_code, {
+      to: GRANDFATHERING_DATE,
+    });
+    const nav = navOnOrBefore(history, GRANDFATHERING_DATE);
+    if (nav) grandfatheredNavs[isin] = nav;
+  });
+  await pLimit(tasks, 5);
+  return grandfatheredNavs;
+}
+
+const capitalGainsRequest = validateRequest({
+  body: object({
+    data: casData(),
+    funds: byIsin(),
+    fy: financialYearFilter(),
+  }),
+});
+
+/**
+ * POST /api/capital-gains
+ *
+ * Matches redemptions and switch-outs to purchase lots FIFO and reports realised
+ * short/long-term gains per financial year under Indian tax rules.
+ *
+ * @body {object} data    - The `data` object returned by /api/parse-cas (detailed CAS).
+ * @body {object} [funds] - Fund metadata keyed by ISIN (the `data` object of /api/mf-stats).
+ *   `category`/`sub_category` decide equity vs debt treatment; `scheme_code` lets the server
+ *   look up the 31-Jan-2018 NAV for grandfathering. `nav_31jan2018` may be sent directly instead.
+ * @body {string} [fy]    - Restrict to one financial year, e.g. "FY2024-25".
+ *
+ * @returns {object} data - { financial_years[], gains[], incomplete[] }
+ */
+app.post("/api/capital-gains", capitalGainsRequest, async (req, res) => {
+  try {
+    const { data, funds = {}, fy } = req.body;
+
+    const grandfatheredNavs = await fetchGrandfatheredNavs(data, funds);
+    const gains = computeCapitalGains(data, { funds, grandfatheredNavs, fy });
+
+    res.json({
+      success: true,
+      message: `Computed ${gains.gains.length} realised gain entries`,
+      data: gains,
+    });
+  } catch (err) {
+    console.error("Error computing capital gains:", err);
+    sendError(res, err);
+  }
+});
+
+const dividendsRequest = validateRequest({
+  body: object({ data: casData(), fy: financialYearFilter() }),
+});
+
+/**
+ * POST /api/dividends
+ *
+ * IDCW (dividend) income per financial year and per scheme - payouts, reinvestments
+ * and the TDS withheld on them - for the "income from other sources" schedule.
+ *
+ * @body {object} data - The `data` object returned by /api/parse-cas (detailed CAS).
+ * @body {string} [fy] - Restrict to one financial year, e.g. "FY2024-25".
+ *
+ * @returns {object} data - { financial_years[], schemes[] }
+ */
+app.post("/api/dividends", dividendsRequest, async (req, res) => {
+  try {
+    const { data, fy } = req.body;
+    const dividends = computeDividendIncome(data, { fy });
+
+    res.json({
+      success: true,
+      message: `Found IDCW income in ${dividends.financial_years.length} financial years`,
+      data: dividends,
+    });
+  } catch (err) {
+    console.error("Error computing dividend income:", err);
+    sendError(res, err);
+  }
+});
+
+const taxHarvestRequest = validateRequest({
+  body: object({
+    data: casData(),
+    funds: byIsin(),
+    navs: byIsin(),
+    realised_ltcg: number({ min: 0, optional: true }),
+    as_of: asOfDate(),
+  }),
+});
+
+/**
+ * POST /api/tax-harvest
+ *
+ * Lists, per scheme, the units that can be redeemed today while keeping equity LTCG
+ * within the annual exemption, which lots are still short-term (and when they turn
+ * long-term), and which lots are past their exit-load period.
+ *
+ * @body {object} data            - The `data` object returned by /api/parse-cas (detailed CAS).
+ * @body {object} [funds]         - Fund metadata keyed by ISIN (the `data` object of /api/mf-stats).
+ *   Supplies category/sub_category, exit_load and, unless `navs` is sent, latest_nav;
+ *   scheme_code or nav_31jan2018 grandfather the computed realised LTCG (see /api/capital-gains).
+ * @body {object} [navs]          - Latest NAVs keyed by ISIN ({ latest_nav }).
+ * @body {number} [realised_ltcg] - Equity LTCG already booked this FY (defaults to what the CAS shows).
+ * @body {string} [as_of]         - Planned redemption date; defaults to today.
+ *
+ * @returns {object} data - { as_of, fy, exemption_limit, realised_ltcg, remaining_exemption, plan, schemes[] }
+ */
+app.post("/api/tax-harvest", taxHarvestRequest, async (req, res) => {
+  try {
+    const { data, funds = {}, navs, realised_ltcg, as_of } = req.body;
+
+    // Realised LTCG is computed from the CAS unless sent, and needs grandfathering
+    const grandfatheredNavs =
+      realised_ltcg === undefined || realised_ltcg === null
+        ? await fetchGrandfatheredNavs(data, funds)
+        : {};
+    const plan = planTaxHarvest(data, {
+      funds,
+      navs,
+      realisedLtcg: realised_ltcg,
+      grandfatheredNavs,
+      asOf: as_of,
+    });
+
+    res.json({
+      success: true,
+      message: `Remaining LTCG exemption for ${plan.fy}: ${plan.remaining_exemption}`,
+      data: plan,
+    });
+  } catch (err) {
+    console.error("Error building tax-harvest plan:", err);
+    sendError(res, err);
+  }
+});
+
+const sipReportRequest = validateRequest({
+  body: object({ data: casData(), as_of: asOfDate() }),
+});
+
+/**
+ * POST /api/sip-report
+ *
+ * Infers the SIPs in a parsed CAS from their instalments - frequency, amount, day of
+ * month and start date - and flags bounced and missed instalments and stopped SIPs.
+ *
+ * @body {object} data    - The `data` object returned by /api/parse-cas (detailed CAS).
+ * @body {string} [as_of] - Date to judge SIPs as active or stopped (YYYY-MM-DD or DD-MM-YYYY).
+ *   Defaults to the statement end date.
+ *
+ * @returns {object} data - { as_of, summary, sips[] }
+ */
+app.post("/api/sip-report", sipReportRequest, async (req, res) => {
+  try {
+    const { data, as_of } = req.body;
+
+    const report = computeSipReport(data, { asOf: as_of });
+
+    res.json({
+      success: true,
+      message: `Found ${report.summary.active} active of ${report.summary.sips} SIPs`,
+      data: report,
+    });
+  } catch (err) {
+    console.error("Error building SIP report:", err);
+    sendError(res, err);
+  }
+});
+
+// Views asked for in ?view=, or null for all of them
+const exportViews = ({ format = "xlsx", view }) =>
+  view
+    ? view
+        .split(",")
+        .map((v) => v.trim().toLowerCase())
+        .filter(Boolean)
+    : format.toLowerCase() === "csv"
+      ? ["transactions"]
+      : null;
+
+const exportRequest = validateRequest({
+  query: object(
+    {
+      format: string({
+        enum: EXPORT_FORMATS,
+        normalise: (v) => v.toLowerCase(),
+        optional: true,
+      }),
+      view: string({ maxLength: 200, optional: true }),
+    },
+    {
+      check: (query) => {
+        const views = exportViews(query) || [];
+        const unknown = views.filter((v) => !EXPORT_COLUMNS[v]);
+        if (unknown.length > 0) {
+          return [
+            {
+              field: "view",
+              message: `has unknown views ${unknown.join(", ")} - expected ${Object.keys(EXPORT_COLUMNS).join(", ")}`,
+            },
+          ];
+        }
+        if (query.format?.toLowerCase() === "csv" && views.length !== 1) {
+          return [{ field: "view", message: "must be a single view for csv" }];
+        }
+        return [];
+      },
+    },
+  ),
+  body: object({ data: casData(), funds: byIsin() }),
+});
+
+/**
+ * POST /api/export?format=csv|xlsx|jsonl&view=transactions
+ *
+ * Flattens a parsed CAS into transaction, holding and summary tables (plus realised
+ * capital gains for a detailed CAS) and returns them as a downloadable file.
+ * XLSX carries one worksheet per view; JSON-lines tags every row with its view;
+ * CSV holds a single view.
+ *
+ * @query {string} [format=xlsx] - csv | xlsx | jsonl
+ * @query {string} [view]        - csv: one of transactions, holdings, summary, gains, dividends (default transactions).
+ *   xlsx/jsonl: optional comma-separated subset of views.
+ * @body {object} data    - The `data` object returned by /api/parse-cas.
+ * @body {object} [funds] - Fund metadata keyed by ISIN, used to classify gains (see /api/capital-gains).
+ *
+ * @returns {file} text/csv, application/x-ndjson or an XLSX workbook
+ */
+app.post("/api/export", exportRequest, async (req, res) => {
+  try {
+    const { data, funds = {} } = req.body;
+    const format = (req.query.format || "xlsx").toLowerCase();
+    const requested = exportViews(req.query);
+
+    // Only detailed (or merged) statements have the transactions gains are built from
+    let gains = null;
+    const wantsGains = !requested || requested.includes("gains");
+    if (wantsGains && ["DETAILED", "MERGED"].includes(data.cas_type)) {
+      const grandfatheredNavs = await fetchGrandfatheredNavs(data, funds);
+      gains = computeCapitalGains(data, { funds, grandfatheredNavs });
+    }
+
+    const allViews = flattenCAS(data, gains);
+    const views = {};
+    for (const view of requested || Object.keys(allViews)) {
+      views[view] = allViews[view] || [];
+    }
+
+    const stamp = data.statement_period?.to || "statement";
+    if (format === "csv") {
+      const [view] = requested;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="cas-${view}-${stamp}.csv"`,
+      );
+      return res.send(toCSV(views[view], EXPORT_COLUMNS[view]));
+    }
+
+    if (format === "jsonl") {
+      res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="cas-${stamp}.jsonl"`,
+      );
+      return res.send(toJSONL(views));
+    }
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="cas-${stamp}.xlsx"`,
+    );
+    res.send(await toXLSX(views));
+  } catch (err) {
+    console.error("Error exporting CAS:", err);
+    sendError(res, err);
   }
 });
 
@@ -604,6 +1720,10 @@ const toSlug = (name) =>
     .replace(/[^a-z0-9]+/g, "-")
     .replace(/^-+|-+$/g, "");
 
+const benchmarksRequest = validateRequest({
+  query: object({ names: string({ maxLength: 1000, optional: true }) }),
+});
+
 /**
  * GET /api/benchmark-returns
  *
@@ -617,7 +1737,7 @@ const toSlug = (name) =>
  *   name, ret_1w, ret_1m, ret_3m, ret_6m, ret_ytd, ret_1y, ret_3y, ret_5y, ret_10y, ret_since_launch
  *   Numeric fields are floats; "-" values become null.
  */
-app.get("/api/benchmark-returns", async (req, res) => {
+app.get("/api/benchmark-returns", benchmarksRequest, async (req, res) => {
   try {
     // Accept comma-separated slugs: ?names=nifty-50-tri,bse-sensex
     const requestedNames = req.query.names
@@ -639,12 +1759,13 @@ app.get("/api/benchmark-returns", async (req, res) => {
     );
 
     if (!response.ok) {
-      return res
-        .status(502)
-        .json({
-          success: false,
-          error: `Upstream returned ${response.status}`,
-        });
+      return sendError(
+        res,
+        new AppError(
+          "UPSTREAM_UNAVAILABLE",
+          `Upstream returned ${response.status}`,
+        ),
+      );
     }
 
     const html = await response.text();
@@ -653,12 +1774,13 @@ app.get("/api/benchmark-returns", async (req, res) => {
       /<table[^>]+id="tbl_scheme_returns"[^>]*>[\s\S]*?<tbody>([\s\S]*?)<\/tbody>/,
     );
     if (!tbodyMatch) {
-      return res
-        .status(502)
-        .json({
-          success: false,
-          error: "Could not find benchmark table in response",
-        });
+      return sendError(
+        res,
+        new AppError(
+          "UPSTREAM_UNAVAILABLE",
+          "Could not find benchmark table in response",
+        ),
+      );
     }
 
     const stripTags = (s) => s.replace(/<[^>]+>/g, "").trim();
@@ -715,7 +1837,7 @@ app.get("/api/benchmark-returns", async (req, res) => {
     });
   } catch (err) {
     console.error("Error fetching benchmark returns:", err);
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err);
   }
 });
 
@@ -747,6 +1869,26 @@ const ROLLING_VALID_PERIODS = [
   "15 Year",
 ];
 
+// Query of the rolling-return routes. start_date goes into the upstream URL as is.
+const rollingReturnsQuery = (fields) =>
+  object(
+    {
+      ...fields,
+      names: string({ maxLength: 1000, optional: true }),
+      scheme: string({ maxLength: 100, optional: true }),
+      start_date: date(["DD-MM-YYYY"], { optional: true }),
+    },
+    {
+      check: ({ names, scheme }) =>
+        scheme ||
+        (names || "")
+          .split(",")
+          .some((s) => SCHEME_SLUG_MAP[s.trim().toLowerCase()])
+          ? []
+          : [{ field: "", message: "names or scheme is required" }],
+    },
+  );
+
 const PERIOD_SLUG = {
   "1 Month": "1m",
   "1 Year": "1yr",
@@ -766,6 +1908,7 @@ const PERIOD_SLUG = {
  * @param {string} [start_date] - Start date string (e.g. "30-06-1999"). Omit to use upstream default.
  * @returns {object|null} Parsed result with scheme, period (slug), start_date, and data stats,
  *   or null if the upstream page returned no matching data.
+ * @throws {AppError} UPSTREAM_UNAVAILABLE when AdvisorKhoj answers with an error status.
  */
 async function fetchRollingReturnsForPeriod(scheme, period, start_date) {
   const params = new URLSearchParams({ scheme });
@@ -781,7 +1924,12 @@ async function fetchRollingReturnsForPeriod(scheme, period, start_date) {
     },
   });
 
-  if (!response.ok) return null;
+  if (!response.ok) {
+    throw new AppError(
+      "UPSTREAM_UNAVAILABLE",
+      `Upstream returned ${response.status}`,
+    );
+  }
 
   const html = await response.text();
 
@@ -865,6 +2013,12 @@ async function fetchRollingReturnsForPeriod(scheme, period, start_date) {
   };
 }
 
+const rollingRequest = validateRequest({
+  query: rollingReturnsQuery({
+    period: string({ enum: ROLLING_VALID_PERIODS, optional: true }),
+  }),
+});
+
 /**
  * GET /api/benchmark-rolling-returns
  *
@@ -882,7 +2036,7 @@ async function fetchRollingReturnsForPeriod(scheme, period, start_date) {
  * @returns When multiple names: object keyed by slug, each with scheme, period, start_date, data.
  *   When single scheme: flat response with scheme, period (slug), start_date, data.
  */
-app.get("/api/benchmark-rolling-returns", async (req, res) => {
+app.get("/api/benchmark-rolling-returns", rollingRequest, async (req, res) => {
   const { scheme, period, start_date } = req.query;
 
   const slugs = req.query.names
@@ -895,22 +2049,6 @@ app.get("/api/benchmark-rolling-returns", async (req, res) => {
   const invalidSlugs = slugs.filter((s) => !SCHEME_SLUG_MAP[s]);
   const validSlugs = slugs.filter((s) => SCHEME_SLUG_MAP[s]);
 
-  if (validSlugs.length === 0 && !scheme) {
-    return res
-      .status(400)
-      .json({
-        success: false,
-        error: "names or scheme query param is required",
-      });
-  }
-
-  if (period && !ROLLING_VALID_PERIODS.includes(period)) {
-    return res.status(400).json({
-      success: false,
-      error: `Invalid period. Valid values: ${ROLLING_VALID_PERIODS.join(", ")}`,
-    });
-  }
-
   try {
     if (slugs.length > 0) {
       const results = await Promise.all(
@@ -940,18 +2078,23 @@ app.get("/api/benchmark-rolling-returns", async (req, res) => {
       start_date,
     );
     if (!result) {
-      return res.status(404).json({
-        success: false,
-        error: "No data found — check scheme name, period, and start_date",
-      });
+      return sendError(
+        res,
+        new AppError(
+          "NOT_FOUND",
+          "No data found — check scheme name, period, and start_date",
+        ),
+      );
     }
     res.json({ success: true, ...result });
   } catch (err) {
     console.error("Error fetching benchmark rolling returns:", err);
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err);
   }
 });
 
+const rollingAll = validateRequest({ query: rollingReturnsQuery({}) });
+
 /**
  * GET /api/benchmark-rolling-returns-all
  *
@@ -969,7 +2112,7 @@ app.get("/api/benchmark-rolling-returns", async (req, res) => {
  *   When single scheme: flat response with scheme name and period-keyed data.
  *   Period keys: "1m" | "1yr" | "2yr" | "3yr" | "5yr" | "7yr" | "10yr" | "15yr"
  */
-app.get("/api/benchmark-rolling-returns-all", async (req, res) => {
+app.get("/api/benchmark-rolling-returns-all", rollingAll, async (req, res) => {
   const { scheme, start_date } = req.query;
 
   const slugs = req.query.names
@@ -982,15 +2125,6 @@ app.get("/api/benchmark-rolling-returns-all", async (req, res) => {
   const invalidSlugs = slugs.filter((s) => !SCHEME_SLUG_MAP[s]);
   const validSlugs = slugs.filter((s) => SCHEME_SLUG_MAP[s]);
 
-  if (validSlugs.length === 0 && !scheme) {
-    return res
-      .status(400)
-      .json({
-        success: false,
-        error: "names or scheme query param is required",
-      });
-  }
-
   const schemesToFetch =
     validSlugs.length > 0
       ? validSlugs.map((slug) => ({ slug, name: SCHEME_SLUG_MAP[slug] }))
@@ -1044,7 +2178,7 @@ app.get("/api/benchmark-rolling-returns-all", async (req, res) => {
     });
   } catch (err) {
     console.error("Error fetching all rolling returns:", err);
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err);
   }
 });
 
@@ -1055,6 +2189,22 @@ app.get("/health", (req, res) =>
   }),
 );
 
+// Errors raised outside the route handlers: malformed or oversized JSON bodies
+// (body-parser sets their status) and CORS rejections
+app.use((err, req, res, next) => {
+  if (err.expose && err.status === 400) {
+    return sendError(res, new AppError("INVALID_REQUEST", err.message));
+  }
+  if (err.expose && err.status < 500) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  if (err.message === "Not allowed by CORS") {
+    return res.status(403).json({ success: false, error: err.message });
+  }
+  console.error("Unhandled error:", err);
+  sendError(res, err);
+});
+
 // -------------------- START SERVER --------------------
 app.listen(PORT, () =>
   console.log(`🚀 Backend server running on port ${PORT}`),
@@ -0,0 +1,322 @@
+/**
+ * @file sip.js
+ * @description SIP analyser - infers each scheme's systematic investment plans (frequency, amount,
+ * day of month, start date) from its SIP instalments, and flags bounced, missed and stopped SIPs.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import { daysBetween, round, toDate, toISODate } from "./transactions.js";
+
+// Ordered by the median gap between instalments they cover. `tolerance` is how
+// far (in days) an instalment may land from its due date: holidays and bank
+// processing shift SIP dates by a few days.
+const FREQUENCIES = [
+  { name: "WEEKLY", maxGap: 10, days: 7, tolerance: 3 },
+  { name: "FORTNIGHTLY", maxGap: 20, days: 14, tolerance: 5 },
+  { name: "MONTHLY", maxGap: 45, months: 1, tolerance: 10 },
+  { name: "QUARTERLY", maxGap: 135, months: 3, tolerance: 20 },
+  { name: "ANNUAL", maxGap: Infinity, months: 12, tolerance: 30 },
+];
+const MONTHLY = FREQUENCIES.find((f) => f.name === "MONTHLY");
+
+// Instalments of one SIP land within this many days of its usual day of month
+const DAY_OF_MONTH_TOLERANCE = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rows from before subtypes existed are recognised by their description
+const isSipInstalment = (tx) =>
+  tx.type === "PURCHASE" &&
+  (tx.subtype === "SIP" ||
+    (tx.subtype === undefined &&
+      /systematic investment|sys\.? investment|\bsip\b/i.test(
+        tx.description || "",
+      )));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const mode = (values) => {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) best = value;
+  }
+  return best;
+};
+
+// Days between two days of the month across the month end (the 30th and the 2nd are 3 apart)
+const dayDistance = (a, b) => {
+  const d = Math.abs(a - b);
+  return Math.min(d, 31 - d);
+};
+
+// One-instalment SIPs have no gap to go by; most SIPs are monthly
+function inferFrequency(dates) {
+  if (dates.length < 2) return MONTHLY;
+  const gaps = dates
+    .slice(1)
+    .map((date, i) => daysBetween(toDate(dates[i]), toDate(date)));
+  const gap = median(gaps);
+  return FREQUENCIES.find((f) => gap <= f.maxGap);
+}
+
+// The day-th of a month, clamped to its last day (a 31st SIP runs on 28/29-Feb)
+function onDay(year, month, day) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+}
+
+/**
+ * Due dates of a SIP from just before its first instalment, until the one after
+ * `until`. Month-based schedules fall on the SIP's usual day of month.
+ */
+function dueDates(frequency, first, dayOfMonth, until) {
+  const dates = [];
+  const start = toDate(first);
+  const earliest = start.getTime() - frequency.tolerance * DAY_MS;
+  for (let k = -1; ; k++) {
+    const due = frequency.months
+      ? onDay(
+          start.getUTCFullYear(),
+          start.getUTCMonth() + k * frequency.months,
+          dayOfMonth,
+        )
+      : new Date(start.getTime() + k * frequency.days * DAY_MS);
+    if (due.getTime() < earliest) continue;
+    dates.push(due);
+    if (due > until) return dates;
+  }
+}
+
+/**
+ * Two SIPs of one amount on different days of the month, say the 5th and the
+ * 20th, look like one fortnightly SIP that keeps missing instalments. Splits the
+ * instalments by day of month when that explains them with fewer missed ones;
+ * a weekly or fortnightly SIP drifts through the month and stays whole.
+ */
+function splitByDayOfMonth(instalments, asOf) {
+  const clusters = [];
+  for (const inst of instalments) {
+    const day = toDate(inst.date).getUTCDate();
+    let cluster = clusters.find(
+      (c) => dayDistance(c.day, day) <= DAY_OF_MONTH_TOLERANCE,
+    );
+    if (!cluster) {
+      cluster = { day, instalments: [] };
+      clusters.push(cluster);
+    }
+    cluster.instalments.push(inst);
+  }
+  if (clusters.length < 2) return [instalments];
+
+  const missed = (series) => analyseSip(series, {}, asOf).missed.length;
+  const apart = clusters.reduce((sum, c) => sum + missed(c.instalments), 0);
+  return apart < missed(instalments)
+    ? clusters.map((c) => c.instalments)
+    : [instalments];
+}
+
+/**
+ * Splits a scheme's SIP instalments into SIPs: one per instalment amount and day
+ * of month, with a series that carries on at a new amount when another's next
+ * instalment was due treated as the same SIP stepped up (or down).
+ */
+function groupInstalments(instalments, asOf) {
+  const byAmount = new Map();
+  for (const inst of instalments) {
+    const key = Math.round(inst.amount);
+    if (!byAmount.has(key)) byAmount.set(key, []);
+    byAmount.get(key).push(inst);
+  }
+
+  const groups = [...byAmount.values()]
+    .flatMap((group) => splitByDayOfMonth(group, asOf))
+    .sort((a, b) => (a[0].date < b[0].date ? -1 : 1));
+  const series = [];
+  for (const group of groups) {
+    const previous = series.find((s) => {
+      const last = s[s.length - 1].date;
+      const frequency = inferFrequency(s.map((i) => i.date));
+      const gap = daysBetween(toDate(last), toDate(group[0].date));
+      const interval = frequency.days || frequency.months * 30;
+      return Math.abs(gap - interval) <= frequency.tolerance;
+    });
+    if (previous) previous.push(...group);
+    else series.push(group);
+  }
+  return series;
+}
+
+function analyseSip(instalments, context, asOf) {
+  const dates = instalments.map((i) => i.date);
+  const frequency = inferFrequency(dates);
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const dayOfMonth = mode(dates.map((d) => toDate(d).getUTCDate()));
+
+  // Match each due date to the nearest unused instalment within tolerance
+  const until = new Date(toDate(last).getTime() + frequency.tolerance * DAY_MS);
+  const schedule = dueDates(frequency, first, dayOfMonth, until);
+  const used = new Set();
+  const missed = [];
+  let nextDue = null;
+  for (const due of schedule) {
+    if (due > until) {
+      nextDue = due;
+      break;
+    }
+    let match = null;
+    for (const inst of instalments) {
+      if (used.has(inst)) continue;
+      const distance = Math.abs(daysBetween(due, toDate(inst.date)));
+      if (distance > frequency.tolerance) continue;
+      if (!match || distance < match.distance) match = { inst, distance };
+    }
+    if (match) used.add(match.inst);
+    else if (due >= toDate(first)) missed.push(toISODate(due));
+  }
+
+  const stopped =
+    nextDue.getTime() + frequency.tolerance * DAY_MS < asOf.getTime();
+  const bounced = instalments.filter((i) => i.reversed_on);
+  const successful = instalments.filter((i) => !i.reversed_on);
+  const amount = instalments[instalments.length - 1].amount;
+
+  const amountChanges = [];
+  for (let i = 1; i < instalments.length; i++) {
+    const from = Math.round(instalments[i - 1].amount);
+    const to = Math.round(instalments[i].amount);
+    if (from !== to) {
+      amountChanges.push({ date: instalments[i].date, from, to });
+    }
+  }
+
+  return {
+    ...context,
+    status: stopped ? "STOPPED" : "ACTIVE",
+    frequency: frequency.name,
+    amount: round(amount),
+    day_of_month: frequency.months ? dayOfMonth : null,
+    start_date: first,
+    last_instalment_date: last,
+    next_due_date: stopped ? null : toISODate(nextDue),
+    stopped_after: stopped ? last : null,
+    instalments: successful.length,
+    total_invested: round(successful.reduce((s, i) => s + i.amount, 0)),
+    bounced: bounced.map((i) => ({
+      date: i.date,
+      amount: round(i.amount),
+      reversed_on: i.reversed_on,
+    })),
+    missed,
+    amount_changes: amountChanges,
+    _perMonth: frequency.months
+      ? 1 / frequency.months
+      : 365 / 12 / frequency.days,
+  };
+}
+
+/**
+ * SIP instalments of one scheme with their gross amount (stamp duty added back)
+ * and, for bounced ones, the date of the reversal that cancelled them.
+ */
+function schemeInstalments(transactions) {
+  const ordered = [...transactions].sort((a, b) =>
+    a.date < b.date ? -1 : a.date > b.date ? 1 : 0,
+  );
+  const reversals = new Map();
+  for (const tx of ordered) {
+    if (tx.subtype === "REVERSAL" && tx.reversal_id) {
+      reversals.set(tx.reversal_id, tx.date);
+    }
+  }
+
+  const instalments = [];
+  let lastPurchase = null;
+  for (const tx of ordered) {
+    if (tx.type === "PURCHASE") {
+      lastPurchase = null;
+      if (!isSipInstalment(tx)) continue;
+      lastPurchase = {
+        date: tx.date,
+        amount: Math.abs(tx.amount || 0),
+        reversed_on: (tx.reversal_id && reversals.get(tx.reversal_id)) || null,
+      };
+      instalments.push(lastPurchase);
+    } else if (tx.type === "STAMP_DUTY_TAX" && lastPurchase?.date === tx.date) {
+      lastPurchase.amount += Math.abs(tx.amount || 0);
+    }
+  }
+  return instalments;
+}
+
+/**
+ * Infers the SIPs running in a parsed CAS and checks their health.
+ *
+ * A SIP is ACTIVE while its next instalment is not yet overdue on `asOf`, and
+ * STOPPED otherwise. Only instalments inside the statement period are seen, so
+ * `start_date` is the first one in the statement, not necessarily when the SIP
+ * was registered.
+ *
+ * @param {object} casData - Output of parseCAS() (detailed or merged CAS).
+ * @param {object} [options]
+ * @param {string} [options.asOf] - Date to judge SIPs as active or stopped (YYYY-MM-DD or
+ *   DD-MM-YYYY). Defaults to the statement end date, then today.
+ * @returns {object} { as_of, summary, sips[] } - `summary.monthly_commitment` is the
+ *   amount of active SIPs per month.
+ */
+export function computeSipReport(casData, options = {}) {
+  const asOf =
+    toDate(options.asOf) ||
+    toDate(casData?.statement_period?.to) ||
+    toDate(toISODate(new Date()));
+
+  const sips = [];
+  for (const folio of casData?.folios || []) {
+    for (const scheme of folio.schemes || []) {
+      const instalments = schemeInstalments(scheme.transactions || []);
+      if (instalments.length === 0) continue;
+
+      const context = {
+        folio: folio.folio,
+        amc: folio.amc,
+        scheme: scheme.scheme,
+        isin: scheme.isin,
+      };
+      for (const series of groupInstalments(instalments, asOf)) {
+        sips.push(analyseSip(series, context, asOf));
+      }
+    }
+  }
+
+  sips.sort(
+    (a, b) =>
+      (a.status === "ACTIVE" ? 0 : 1) - (b.status === "ACTIVE" ? 0 : 1) ||
+      String(a.scheme).localeCompare(String(b.scheme)),
+  );
+
+  const active = sips.filter((s) => s.status === "ACTIVE");
+  const summary = {
+    sips: sips.length,
+    active: active.length,
+    stopped: sips.length - active.length,
+    monthly_commitment: round(
+      active.reduce((sum, s) => sum + s.amount * s._perMonth, 0),
+    ),
+    instalments: sips.reduce((sum, s) => sum + s.instalments, 0),
+    total_invested: round(sips.reduce((sum, s) => sum + s.total_invested, 0)),
+    bounced: sips.reduce((sum, s) => sum + s.bounced.length, 0),
+    missed: sips.reduce((sum, s) => sum + s.missed.length, 0),
+  };
+
+  return {
+    as_of: toISODate(asOf),
+    summary,
+    sips: sips.map(({ _perMonth, ...sip }) => sip),
+  };
+}
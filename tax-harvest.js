@@ -0,0 +1,297 @@
+/**
+ * @file tax-harvest.js
+ * @description Tax-harvesting planner - finds units that can be redeemed now while keeping equity LTCG
+ * within the annual exemption, and shows when short-term lots turn long-term and exit-load free.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import {
+  computeCapitalGains,
+  isLongTerm,
+  longTermFrom,
+  ltcgExemptionLimit,
+  taxClassOf,
+} from "./capital-gains.js";
+import {
+  addMonths,
+  buildFifoLots,
+  daysBetween,
+  financialYear,
+  pledgeBalance,
+  round,
+  toDate,
+  toISODate,
+} from "./transactions.js";
+
+/**
+ * Reads the exit-load period out of Groww's free-text `exit_load`, e.g.
+ * "Exit load of 1% if redeemed within 1 year" or "Nil".
+ *
+ * @param {string} text
+ * @returns {{ nil: boolean, value: number, unit: string }|null} null when the text
+ *   is missing or does not state a period we can recognise.
+ */
+export function parseExitLoad(text) {
+  if (!text || typeof text !== "string") return null;
+  if (/^\s*(nil|none|no exit load|0(?:\.0+)?\s*%?)\s*\.?\s*$/i.test(text)) {
+    return { nil: true, value: 0, unit: "day" };
+  }
+
+  const match = text.match(/within\s+(\d+)\s*(day|month|year)s?/i);
+  if (!match) return null;
+
+  return {
+    nil: false,
+    value: parseInt(match[1], 10),
+    unit: match[2].toLowerCase(),
+  };
+}
+
+// Round units down so a plan never overshoots the exemption by a rounding hair
+function floorUnits(units) {
+  return Math.floor(units * 1000) / 1000;
+}
+
+function exitLoadFreeFrom(buyDate, exitLoad) {
+  const bought = toDate(buyDate);
+  if (!bought || !exitLoad) return null;
+  if (exitLoad.nil) return bought;
+
+  if (exitLoad.unit === "year") return addMonths(bought, exitLoad.value * 12);
+  if (exitLoad.unit === "month") return addMonths(bought, exitLoad.value);
+  return new Date(bought.getTime() + exitLoad.value * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Builds a lot-level view of every open holding and a redemption plan that
+ * uses up the remaining equity LTCG exemption for the current financial year.
+ *
+ * Redemptions are FIFO, so the plan never skips over a short-term lot to reach a
+ * newer one; a scheme's harvestable units stop at its first short-term lot.
+ * Units under pledge or lien cannot be redeemed and are never offered.
+ *
+ * @param {object} casData - Output of parseCAS() (detailed CAS).
+ * @param {object} [options]
+ * @param {object} [options.navs] - Latest NAVs keyed by ISIN ({ latest_nav }).
+ * @param {object} [options.funds] - Fund metadata keyed by ISIN (category, sub_category, exit_load).
+ * @param {string} [options.asOf] - Redemption date to plan for; defaults to today.
+ * @param {number} [options.realisedLtcg] - Equity LTCG already booked this FY. Computed
+ *   from the statement when omitted.
+ * @param {object} [options.grandfatheredNavs] - NAV on 31-Jan-2018 keyed by ISIN, for the
+ *   computed realisedLtcg (see computeCapitalGains()). Without it, sales of units bought
+ *   before then count their full gain and `grandfathering_nav_missing` is set.
+ * @param {number} [options.exemptionLimit] - Overrides the s.112A limit for the FY.
+ * @returns {object} { as_of, fy, exemption_limit, realised_ltcg, remaining_exemption,
+ *   grandfathering_nav_missing, plan, schemes[] }
+ */
+export function planTaxHarvest(casData, options = {}) {
+  const funds = options.funds || {};
+  const navs = options.navs || funds;
+  const asOf = toDate(options.asOf) || toDate(toISODate(new Date()));
+  const fy = financialYear(asOf);
+
+  const exemptionLimit = options.exemptionLimit ?? ltcgExemptionLimit(fy);
+  let realisedLtcg = options.realisedLtcg;
+  let grandfatheringMissing = false;
+  if (realisedLtcg === undefined || realisedLtcg === null) {
+    const realised = computeCapitalGains(casData, {
+      funds,
+      fy,
+      grandfatheredNavs: options.grandfatheredNavs,
+    });
+    realisedLtcg = realised.financial_years[0]?.equity.ltcg ?? 0;
+    // The gain, and so the LTCG used up, is overstated: the headroom is a floor
+    grandfatheringMissing = realised.gains.some(
+      (g) => g.grandfathering_nav_missing,
+    );
+  }
+  const remainingExemption = Math.max(0, exemptionLimit - realisedLtcg);
+
+  const schemes = [];
+  for (const folio of casData?.folios || []) {
+    for (const scheme of folio.schemes || []) {
+      if (!(scheme.close > 0)) continue;
+      schemes.push(
+        analyseScheme(folio, scheme, {
+          fund: funds[scheme.isin],
+          nav: parseFloat(navs[scheme.isin]?.latest_nav),
+          asOf,
+          periodFrom: casData?.statement_period?.from,
+          budget: remainingExemption,
+        }),
+      );
+    }
+  }
+
+  return {
+    as_of: toISODate(asOf),
+    fy,
+    exemption_limit: exemptionLimit,
+    realised_ltcg: round(realisedLtcg),
+    remaining_exemption: round(remainingExemption),
+    grandfathering_nav_missing: grandfatheringMissing,
+    plan: buildPlan(schemes, remainingExemption),
+    schemes: schemes.map(({ _harvestLots, ...rest }) => rest),
+  };
+}
+
+function analyseScheme(folio, scheme, { fund, nav, asOf, periodFrom, budget }) {
+  const { taxClass } = taxClassOf(fund, scheme.scheme);
+  const currentNav = nav > 0 ? nav : scheme.valuation?.nav || 0;
+  const exitLoad = parseExitLoad(fund?.exit_load);
+
+  const opening =
+    scheme.open > 0 ? { units: scheme.open, cost: 0, date: periodFrom } : null;
+  const { lots } = buildFifoLots(scheme.transactions || [], opening);
+
+  const lotViews = lots.map((lot) => {
+    const longTermDate = longTermFrom(taxClass, lot.date);
+    const freeFrom = exitLoadFreeFrom(lot.date, exitLoad);
+    const value = lot.units * currentNav;
+    const unknownCost = lot.opening;
+
+    return {
+      purchase_date: lot.date,
+      units: round(lot.units, 3),
+      cost: unknownCost ? null : round(lot.cost),
+      purchase_nav: unknownCost ? null : round(lot.cost / lot.units, 4),
+      current_value: round(value),
+      gain: unknownCost ? null : round(value - lot.cost),
+      term: isLongTerm(taxClass, lot.date, asOf) ? "LTCG" : "STCG",
+      long_term_from: toISODate(longTermDate),
+      days_to_long_term:
+        longTermDate && longTermDate > asOf
+          ? daysBetween(asOf, longTermDate)
+          : null,
+      exit_load_free: freeFrom ? freeFrom <= asOf : null,
+      exit_load_free_from: toISODate(freeFrom),
+      _lot: lot,
+    };
+  });
+
+  // Only equity LTCG has an exemption to harvest against. Lots carried in from
+  // before the statement have no cost, so nothing after them can be sized either.
+  const harvestLots = [];
+  let harvestableUnits = 0;
+  let harvestGain = 0;
+  let stopReason = null;
+
+  const pledgedUnits =
+    scheme.pledged_units ?? pledgeBalance(scheme).pledged_units;
+  let freeUnits = Math.max(0, (scheme.close || 0) - pledgedUnits);
+
+  if (taxClass !== "EQUITY") {
+    stopReason = "NOT_EQUITY";
+  } else {
+    let remaining = budget;
+    for (const view of lotViews) {
+      const lot = view._lot;
+      if (lot.opening) {
+        stopReason = "INCOMPLETE_HISTORY";
+        break;
+      }
+      if (view.term !== "LTCG") {
+        stopReason = "SHORT_TERM_LOT";
+        break;
+      }
+      if (freeUnits <= 1e-6) {
+        stopReason = "PLEDGED";
+        break;
+      }
+
+      const gainPerUnit = currentNav - lot.cost / lot.units;
+      let units = lot.units;
+      if (units > freeUnits) {
+        units = freeUnits;
+        stopReason = "PLEDGED";
+      }
+      if (gainPerUnit > 0 && gainPerUnit * units > remaining) {
+        units = remaining / gainPerUnit;
+        stopReason = "EXEMPTION_EXHAUSTED";
+      }
+
+      if (units > 1e-6) {
+        harvestLots.push({ units, gainPerUnit });
+        harvestableUnits += units;
+        harvestGain += units * gainPerUnit;
+        remaining -= units * gainPerUnit;
+        freeUnits -= units;
+      }
+      if (stopReason) break;
+    }
+  }
+
+  const nextLongTerm = lotViews
+    .map((v) => v.long_term_from)
+    .filter((d) => d && d > toISODate(asOf))
+    .sort()[0];
+
+  return {
+    folio: folio.folio,
+    amc: folio.amc,
+    scheme: scheme.scheme,
+    isin: scheme.isin,
+    tax_class: taxClass,
+    nav: currentNav,
+    units: scheme.close,
+    pledged_units: round(pledgedUnits, 3),
+    exit_load: fund?.exit_load ?? null,
+    harvestable_units: floorUnits(harvestableUnits),
+    harvestable_value: round(harvestableUnits * currentNav),
+    harvestable_gain: round(harvestGain),
+    harvest_stop_reason: stopReason,
+    short_term_units: round(
+      lotViews
+        .filter((v) => v.term === "STCG")
+        .reduce((s, v) => s + v._lot.units, 0),
+      3,
+    ),
+    next_long_term_date: nextLongTerm || null,
+    lots: lotViews.map(({ _lot, ...rest }) => rest),
+    _harvestLots: harvestLots,
+  };
+}
+
+// Shares one exemption budget across schemes, largest harvestable gain first.
+function buildPlan(schemes, budget) {
+  let remaining = budget;
+  const redemptions = [];
+
+  const candidates = schemes
+    .filter((s) => s._harvestLots.length > 0)
+    .sort((a, b) => b.harvestable_gain - a.harvestable_gain);
+
+  for (const s of candidates) {
+    let units = 0;
+    let gain = 0;
+
+    for (const lot of s._harvestLots) {
+      let take = lot.units;
+      if (lot.gainPerUnit > 0 && lot.gainPerUnit * take > remaining) {
+        take = Math.max(0, remaining / lot.gainPerUnit);
+      }
+      units += take;
+      gain += take * lot.gainPerUnit;
+      remaining -= take * lot.gainPerUnit;
+      if (take < lot.units) break;
+    }
+
+    if (units > 1e-6) {
+      redemptions.push({
+        folio: s.folio,
+        scheme: s.scheme,
+        isin: s.isin,
+        units: floorUnits(units),
+        value: round(units * s.nav),
+        gain: round(gain),
+      });
+    }
+    if (remaining <= 0) break;
+  }
+
+  return {
+    total_value: round(redemptions.reduce((sum, r) => sum + r.value, 0)),
+    total_gain: round(redemptions.reduce((sum, r) => sum + r.gain, 0)),
+    redemptions,
+  };
+}
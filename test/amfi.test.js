@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+import { createAmfiProvider, indexNAVAll, parseNAVAll } from "../amfi.js";
+
+const NAVALL = fileURLToPath(new URL("./fixtures/NAVAll.txt", import.meta.url));
+
+test("parseNAVAll carries section and AMC lines onto the rows below", () => {
+  const rows = parseNAVAll(readFileSync(NAVALL, "utf8"));
+
+  assert.equal(rows.length, 5);
+  assert.deepEqual(rows[0], {
+    scheme_code: "118989",
+    isin_growth: "INF179KB1HD7",
+    isin_div_reinvestment: null,
+    scheme_name:
+      "HDFC Mid-Cap Opportunities Fund - Growth Option - Direct Plan",
+    nav: "150.1230",
+    date: "17-10-2025",
+    fund_house: "HDFC Mutual Fund",
+    scheme_type: "Open Ended Schemes",
+    scheme_category: "Equity Scheme - Mid Cap Fund",
+  });
+  assert.equal(rows[1].isin_div_reinvestment, "INF179KB1HF2");
+
+  assert.deepEqual(
+    rows.map((r) => [r.scheme_code, r.fund_house, r.scheme_type]),
+    [
+      ["118989", "HDFC Mutual Fund", "Open Ended Schemes"],
+      ["118990", "HDFC Mutual Fund", "Open Ended Schemes"],
+      ["151278", "Motilal Oswal Mutual Fund", "Open Ended Schemes"],
+      ["151279", "Motilal Oswal Mutual Fund", "Open Ended Schemes"],
+      ["120000", "Axis Mutual Fund", "Close Ended Schemes"],
+    ],
+  );
+  assert.equal(rows[4].scheme_category, "Income");
+  assert.equal(rows[4].date, "16-10-2025");
+});
+
+test("parseNAVAll keeps N.A. rows with a null NAV", () => {
+  const row = parseNAVAll(readFileSync(NAVALL, "utf8")).find(
+    (r) => r.scheme_code === "151279",
+  );
+
+  assert.equal(row.nav, null);
+  assert.equal(row.isin_growth, "INF247L01060");
+  assert.equal(row.date, "17-10-2025");
+});
+
+test("parseNAVAll reads CRLF files and skips junk rows", () => {
+  const text = readFileSync(NAVALL, "utf8").replace(/\n/g, "\r\n");
+  assert.equal(parseNAVAll(text).length, 5);
+
+  assert.deepEqual(parseNAVAll(""), []);
+  assert.deepEqual(
+    parseNAVAll("abc;INF179KB1HD7;-;Not a row;1;17-Oct-2025"),
+    [],
+  );
+});
+
+test("indexNAVAll looks rows up by scheme code and either ISIN", () => {
+  const { byCode, byIsin } = indexNAVAll(
+    parseNAVAll(readFileSync(NAVALL, "utf8")),
+  );
+
+  assert.equal(byCode.size, 5);
+  assert.equal(byCode.get("151278").isin_growth, "INF247L01052");
+  assert.equal(byIsin.get("INF179KB1HE5").scheme_code, "118990");
+  assert.equal(byIsin.get("INF179KB1HF2").scheme_code, "118990");
+  assert.equal(byIsin.has("-"), false);
+});
+
+test("the provider serves mfapi-shaped latest NAVs from a saved file", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const provider = createAmfiProvider({ file: NAVALL });
+
+  const latest = await provider.getLatestNAV(" inf179kb1hd7 ");
+  assert.equal(latest.meta.scheme_code, 118989);
+  assert.equal(latest.meta.fund_house, "HDFC Mutual Fund");
+  assert.deepEqual(latest.data, [{ date: "17-10-2025", nav: "150.1230" }]);
+
+  assert.equal((await provider.getScheme(151279)).scheme_code, "151279");
+  // N.A. NAVs are not a latest NAV
+  assert.equal(await provider.getLatestNAV(151279), null);
+  assert.equal(await provider.getLatestNAV("999999"), null);
+});
@@ -0,0 +1,165 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computePortfolioReturns, xirr } from "../analytics.js";
+import { pairSwitches } from "../transactions.js";
+import { buy, cas, sell, statement } from "./helpers.js";
+
+const flow = (date, amount) => ({
+  date: new Date(`${date}T00:00:00Z`),
+  amount,
+});
+
+test("xirr matches known values", () => {
+  // The example from Excel's XIRR documentation
+  const rate = xirr([
+    flow("2008-01-01", -10000),
+    flow("2008-03-01", 2750),
+    flow("2008-10-30", 4250),
+    flow("2009-02-15", 3250),
+    flow("2009-04-01", 2750),
+  ]);
+  assert.ok(Math.abs(rate - 0.373362535) < 1e-8, rate);
+
+  // 10% over the 366 days of a leap year
+  const leap = xirr([flow("2020-01-01", -1000), flow("2021-01-01", 1100)]);
+  assert.ok(Math.abs(leap - (1.1 ** (365 / 366) - 1)) < 1e-9, leap);
+});
+
+test("xirr is null without a sign change or a span of time", () => {
+  assert.equal(
+    xirr([flow("2020-01-01", -1000), flow("2021-01-01", -500)]),
+    null,
+  );
+  assert.equal(xirr([flow("2020-01-01", -1000)]), null);
+  assert.equal(
+    xirr([flow("2020-01-01", -1000), flow("2020-01-01", 1100)]),
+    null,
+  );
+  // Zero-amount flows do not count
+  assert.equal(xirr([flow("2020-01-01", -1000), flow("2021-01-01", 0)]), null);
+});
+
+test("xirr falls back to bisection when Newton overshoots", () => {
+  // From the 10% guess the first Newton step lands below -100%
+  const rate = xirr([flow("2020-01-01", -1000), flow("2021-01-01", 10)]);
+  assert.ok(Math.abs(rate - (0.01 ** (365 / 366) - 1)) < 1e-6, rate);
+});
+
+test("computePortfolioReturns values held units and counts redemptions", () => {
+  const data = statement([
+    buy("2020-01-01", 1000, 10000),
+    sell("2021-01-01", 500, 6000),
+  ]);
+  Object.assign(data.folios[0].schemes[0], {
+    close: 500,
+    valuation: { nav: 13, value: 6500 },
+  });
+
+  const { as_of, portfolio, folios, amcs } = computePortfolioReturns(data, {
+    asOf: "2022-01-01",
+  });
+  assert.equal(as_of, "2022-01-01");
+  assert.deepEqual(
+    [
+      portfolio.invested,
+      portfolio.withdrawn,
+      portfolio.current_value,
+      portfolio.cost,
+      portfolio.absolute_gain,
+      portfolio.absolute_return,
+      portfolio.unrealised_gain,
+      portfolio.avg_holding_days,
+      portfolio.incomplete_history,
+    ],
+    [10000, 6000, 6500, 5000, 2500, 25, 1500, 731, false],
+  );
+  // -10000 then +6000 after a year and +6500 after two
+  assert.equal(portfolio.xirr, 15.99);
+  assert.equal(portfolio.cagr, 14);
+  assert.equal(folios[0].schemes[0].invested, 10000);
+  assert.equal(amcs[0].amc, "ABC Mutual Fund");
+});
+
+test("a newer NAV overrides the statement valuation", () => {
+  const data = statement([buy("2020-01-01", 1000, 10000)]);
+  Object.assign(data.folios[0].schemes[0], {
+    close: 1000,
+    valuation: { nav: 12, value: 12000 },
+  });
+
+  const { as_of, portfolio } = computePortfolioReturns(data, {
+    navs: { INF000A01011: { latest_nav: "15", latest_nav_date: "2021-01-01" } },
+  });
+  assert.equal(as_of, "2021-01-01");
+  assert.equal(portfolio.current_value, 15000);
+});
+
+test("units from before the statement are priced at the first NAV and flagged", () => {
+  const { folios } = computePortfolioReturns(cas("cams.txt"), {
+    asOf: "2025-03-31",
+  });
+  const liquid = folios[0].schemes.find((s) => s.isin === "INF179KB1HK0");
+
+  // 10 opening units at the 4000 NAV of the first transaction, plus a purchase
+  assert.equal(liquid.invested, 41000);
+  assert.equal(liquid.incomplete_history, true);
+});
+
+test("switches between schemes of a folio net out of the roll-ups", () => {
+  const data = statement([
+    buy("2024-01-01", 1000, 10000),
+    { date: "2024-07-01", type: "SWITCH_OUT", units: 500, amount: 5000 },
+  ]);
+  const [folio] = data.folios;
+  Object.assign(folio.schemes[0], {
+    close: 500,
+    valuation: { nav: 12, value: 6000 },
+  });
+  folio.schemes.push({
+    scheme: "ABC Flexi Cap Fund - Direct Growth",
+    isin: "INF000A01029",
+    open: 0,
+    close: 400,
+    valuation: { nav: 13, value: 5200 },
+    transactions: [
+      { date: "2024-07-02", type: "SWITCH_IN", units: 400, amount: 4999.75 },
+    ],
+  });
+  pairSwitches(folio);
+
+  const result = computePortfolioReturns(data, { asOf: "2025-01-01" });
+  // Each scheme sees the switch as money out or in
+  assert.deepEqual(
+    result.folios[0].schemes.map((s) => [s.invested, s.withdrawn]),
+    [
+      [10000, 5000],
+      [4999.75, 0],
+    ],
+  );
+  // The folio, AMC and portfolio only see the original 10000
+  for (const totals of [result.folios[0], result.amcs[0], result.portfolio]) {
+    assert.deepEqual(
+      [totals.invested, totals.withdrawn, totals.absolute_gain],
+      [10000, 0, 1200],
+    );
+  }
+  assert.equal(result.portfolio.xirr, 11.97);
+});
+
+test("the switch legs of a fixture folio are netted in its totals", () => {
+  const { portfolio, folios } = computePortfolioReturns(cas("cams.txt"), {
+    asOf: "2025-03-31",
+  });
+  const schemes = folios[0].schemes;
+
+  // The 5000 switched from the liquid fund into the mid-cap fund
+  assert.equal(
+    schemes[0].invested + schemes[1].invested - 5000,
+    portfolio.invested,
+  );
+  assert.equal(
+    schemes[0].withdrawn + schemes[1].withdrawn - 5000,
+    portfolio.withdrawn,
+  );
+});
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  computeCapitalGains,
+  grandfatheringCandidates,
+  isLongTerm,
+  ltcgExemptionLimit,
+  taxClassOf,
+} from "../capital-gains.js";
+import { buy, cas, sell, statement } from "./helpers.js";
+
+test("matches redemptions to purchase lots FIFO", () => {
+  const { gains, financial_years } = computeCapitalGains(cas("cams.txt"));
+
+  assert.equal(gains.length, 1);
+  const [gain] = gains;
+  // 100 of the 250 units bought in Jan-2017 at 40
+  assert.equal(gain.purchase_date, "2017-01-10");
+  assert.equal(gain.units, 100);
+  assert.equal(gain.cost, 4000);
+  assert.equal(gain.sale_value, 12000);
+  assert.equal(gain.tax_class, "EQUITY");
+  assert.equal(gain.term, "LTCG");
+  assert.equal(gain.gain, 8000);
+
+  assert.deepEqual(
+    financial_years.map((y) => [y.fy, y.equity.ltcg, y.ltcg_exemption_limit]),
+    [["FY2024-25", 8000, 125000]],
+  );
+});
+
+test("reports sales of units bought before the statement as incomplete", () => {
+  const { incomplete } = computeCapitalGains(cas("cams.txt"));
+
+  assert.deepEqual(
+    incomplete.map((i) => [i.isin, i.sale_type, i.units, i.reason]),
+    [["INF179KB1HK0", "SWITCH_OUT", 1.25, "PURCHASE_BEFORE_STATEMENT_PERIOD"]],
+  );
+});
+
+test("steps pre-2018 equity cost up to the 31-Jan-2018 NAV", () => {
+  const data = cas("cams.txt");
+
+  const [missing] = computeCapitalGains(data).gains;
+  assert.equal(missing.grandfathering_nav_missing, true);
+  assert.equal(missing.cost_of_acquisition, 4000);
+
+  const [gain] = computeCapitalGains(data, {
+    grandfatheredNavs: { INF179KB1HD7: 60 },
+  }).gains;
+  assert.equal(gain.grandfathered, true);
+  assert.equal(gain.cost_of_acquisition, 6000);
+  assert.equal(gain.gain, 6000);
+  assert.equal(gain.grandfathering_nav_missing, undefined);
+
+  // The stepped-up cost never exceeds the sale value
+  const [capped] = computeCapitalGains(data, {
+    grandfatheredNavs: { INF179KB1HD7: 500 },
+  }).gains;
+  assert.equal(capped.cost_of_acquisition, 12000);
+  assert.equal(capped.gain, 0);
+
+  // The liquid fund's opening balance predates the cut-off too
+  assert.deepEqual(grandfatheringCandidates(data), [
+    "INF179KB1HD7",
+    "INF179KB1HK0",
+  ]);
+});
+
+test("classifies short-term equity gains and filters by financial year", () => {
+  const data = cas("kfin.txt");
+
+  const [gain] = computeCapitalGains(data, { fy: "2023-24" }).gains;
+  assert.equal(gain.term, "STCG");
+  assert.equal(gain.holding_days, 66);
+  assert.equal(gain.cost, 1428.07);
+  assert.equal(gain.gain, 71.93);
+
+  assert.deepEqual(computeCapitalGains(data, { fy: "FY2024-25" }).gains, []);
+});
+
+test("debt funds bought from April 2023 are always short-term", () => {
+  const funds = { INF000A01011: { category: "Debt" } };
+  const data = statement([
+    buy("2020-01-15", 100, 1000),
+    buy("2023-05-15", 100, 1200),
+    sell("2025-01-15", 200, 2800),
+  ]);
+
+  const { gains, financial_years } = computeCapitalGains(data, { funds });
+  assert.deepEqual(
+    gains.map((g) => [g.purchase_date, g.tax_class, g.term, g.gain]),
+    [
+      ["2020-01-15", "DEBT", "LTCG", 400],
+      ["2023-05-15", "DEBT", "STCG", 200],
+    ],
+  );
+  assert.deepEqual(financial_years[0].debt, { stcg: 200, ltcg: 400 });
+});
+
+test("taxClassOf prefers overrides, then category, then the scheme name", () => {
+  assert.equal(taxClassOf({ tax_class: "debt" }).taxClass, "DEBT");
+  assert.equal(
+    taxClassOf({ category: "Hybrid", sub_category: "Arbitrage Fund" }).taxClass,
+    "EQUITY",
+  );
+  assert.equal(taxClassOf({ category: "Other" }).taxClass, "OTHER");
+  assert.deepEqual(taxClassOf(null, "ABC Gilt Fund"), {
+    taxClass: "DEBT",
+    source: "scheme_name",
+  });
+  assert.equal(taxClassOf(null, "ABC Gold ETF FoF").taxClass, "OTHER");
+});
+
+test("holding periods follow the dates of the rule changes", () => {
+  // Equity: more than 12 months
+  assert.equal(isLongTerm("EQUITY", "2023-01-10", "2024-01-10"), false);
+  assert.equal(isLongTerm("EQUITY", "2023-01-10", "2024-01-11"), true);
+  // Non-equity: 36 months before 23-Jul-2024, 24 months from then on
+  assert.equal(isLongTerm("OTHER", "2021-01-10", "2024-01-10"), false);
+  assert.equal(isLongTerm("OTHER", "2021-01-10", "2024-01-11"), true);
+  assert.equal(isLongTerm("OTHER", "2022-06-01", "2024-07-22"), false);
+  assert.equal(isLongTerm("OTHER", "2022-06-01", "2024-07-23"), true);
+  assert.equal(isLongTerm("DEBT", "2023-04-01", "2030-01-01"), false);
+
+  assert.equal(ltcgExemptionLimit("FY2023-24"), 100000);
+  assert.equal(ltcgExemptionLimit("FY2024-25"), 125000);
+});
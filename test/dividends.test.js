@@ -0,0 +1,132 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeDividendIncome } from "../dividends.js";
+import { cas, startServer, statement as oneScheme } from "./helpers.js";
+
+const statement = (transactions) =>
+  oneScheme(transactions, {
+    scheme: "HDFC Balanced Advantage Fund - IDCW",
+    isin: "INF179K01BB8",
+  });
+
+const payout = (date, amount) => ({
+  date,
+  type: "DIVIDEND",
+  subtype: "IDCW_PAYOUT",
+  amount,
+  units: 0,
+});
+const tds = (date, amount) => ({ date, type: "TDS_TAX", amount, units: 0 });
+
+test("sums payouts, reinvestments and TDS per financial year", () => {
+  const data = statement([
+    payout("2024-05-20", 6000),
+    tds("2024-05-20", 600),
+    {
+      date: "2024-11-20",
+      type: "DIVIDEND",
+      subtype: "IDCW_REINVEST",
+      amount: 2500,
+      units: 71.428,
+    },
+    payout("2025-05-20", 3000),
+  ]);
+
+  const { financial_years, schemes } = computeDividendIncome(data);
+  assert.deepEqual(financial_years, [
+    {
+      fy: "FY2024-25",
+      dividends: 2,
+      payout: 6000,
+      reinvested: 2500,
+      gross: 8500,
+      tds: 600,
+      net: 7900,
+      other_tds: 0,
+    },
+    {
+      fy: "FY2025-26",
+      dividends: 1,
+      payout: 3000,
+      reinvested: 0,
+      gross: 3000,
+      tds: 0,
+      net: 3000,
+      other_tds: 0,
+    },
+  ]);
+  assert.equal(schemes[0].reinvested_units, 71.428);
+  assert.equal(schemes[0].isin, "INF179K01BB8");
+});
+
+test("TDS on a day without IDCW is other_tds", () => {
+  const data = statement([payout("2024-05-20", 6000), tds("2024-06-15", 120)]);
+
+  const [year] = computeDividendIncome(data).financial_years;
+  assert.equal(year.tds, 0);
+  assert.equal(year.other_tds, 120);
+  assert.equal(year.net, 6000);
+});
+
+test("filters by financial year", () => {
+  const data = statement([
+    payout("2024-05-20", 6000),
+    payout("2025-05-20", 3000),
+  ]);
+
+  const { financial_years, schemes } = computeDividendIncome(data, {
+    fy: "2025-26",
+  });
+  assert.deepEqual(
+    financial_years.map((y) => [y.fy, y.gross]),
+    [["FY2025-26", 3000]],
+  );
+  assert.equal(schemes.length, 1);
+});
+
+describe("POST /api/dividends", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  const post = (body) =>
+    fetch(`${server.url}/api/dividends`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  test("answers the dividend income of a parsed CAS", async () => {
+    const data = statement([
+      payout("2024-05-20", 6000),
+      tds("2024-05-20", 600),
+      payout("2025-05-20", 3000),
+    ]);
+
+    const response = await post({ data, fy: "FY2024-25" });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.success, true);
+    assert.deepEqual(
+      body.data.financial_years.map((y) => [y.fy, y.gross, y.tds, y.net]),
+      [["FY2024-25", 6000, 600, 5400]],
+    );
+  });
+
+  test("a statement without IDCW has no dividend years", async () => {
+    const response = await post({ data: cas("cams.txt") });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).data.financial_years, []);
+  });
+
+  test("refuses a malformed financial year", async () => {
+    const response = await post({ data: statement([]), fy: "2024" });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.code, "INVALID_REQUEST");
+    assert.equal(body.errors[0].field, "fy");
+  });
+});
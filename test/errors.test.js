@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { AppError, errorResponse, toAppError } from "../errors.js";
+
+test("AppError takes its status from the code", () => {
+  const err = new AppError("WRONG_PASSWORD", "Wrong password", {
+    file: "a.pdf",
+  });
+
+  assert.equal(err.status, 422);
+  assert.equal(err.code, "WRONG_PASSWORD");
+  assert.deepEqual(err.details, { file: "a.pdf" });
+  assert.equal(new AppError("SOMETHING_NEW", "?").status, 500);
+});
+
+test("network failures become UPSTREAM_UNAVAILABLE", () => {
+  const fetchError = Object.assign(new Error("connect ECONNREFUSED"), {
+    name: "FetchError",
+    code: "ECONNREFUSED",
+  });
+  const abort = Object.assign(new Error("The operation was aborted"), {
+    name: "AbortError",
+  });
+
+  for (const err of [fetchError, abort]) {
+    const converted = toAppError(err);
+    assert.equal(converted.code, "UPSTREAM_UNAVAILABLE");
+    assert.equal(converted.status, 502);
+    assert.match(converted.message, /^Upstream request failed: /);
+  }
+});
+
+test("errors serialised by a worker keep their code and details", () => {
+  // What cas-worker.js posts back for an AppError
+  const posted = structuredClone({
+    code: "NOT_A_CAS",
+    message: "Not a CAS",
+    details: { file: "b.pdf" },
+  });
+
+  const converted = toAppError(posted);
+  assert.ok(converted instanceof AppError);
+  assert.deepEqual(
+    [converted.code, converted.status, converted.message, converted.details],
+    ["NOT_A_CAS", 422, "Not a CAS", { file: "b.pdf" }],
+  );
+});
+
+test("anything else is an INTERNAL_ERROR", () => {
+  assert.equal(
+    toAppError(new TypeError("x is undefined")).code,
+    "INTERNAL_ERROR",
+  );
+  // Error codes that are not ours, e.g. from fs
+  assert.equal(
+    toAppError({ code: "ENOENT", message: "gone" }).code,
+    "INTERNAL_ERROR",
+  );
+  assert.equal(toAppError({ parserError: "bad xref" }).message, "bad xref");
+  assert.equal(toAppError("plain string").message, "plain string");
+});
+
+test("errorResponse builds the API's error body", () => {
+  assert.deepEqual(
+    errorResponse(new AppError("NO_FOLIOS", "No folios", { file: "c.pdf" })),
+    {
+      status: 422,
+      body: {
+        success: false,
+        error: "No folios",
+        code: "NO_FOLIOS",
+        file: "c.pdf",
+      },
+    },
+  );
+  assert.deepEqual(errorResponse(new Error("boom")), {
+    status: 500,
+    body: { success: false, error: "boom", code: "INTERNAL_ERROR" },
+  });
+});
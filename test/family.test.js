@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildFamilyPortfolio } from "../family.js";
+import { cas } from "./helpers.js";
+
+// The statement of another investor, with no PAN on its folios
+function withoutPAN(data, name, amc, folio) {
+  data.investor_info.name = name;
+  for (const f of data.folios) {
+    f.PAN = null;
+    f.amc = amc;
+    f.folio = folio;
+  }
+  return data;
+}
+
+test("groups statements by PAN", () => {
+  const { investors } = buildFamilyPortfolio([
+    { data: cas(), file: "a.pdf" },
+    { data: cas(), file: "b.pdf" },
+  ]);
+
+  assert.equal(investors.length, 1);
+  assert.equal(investors[0].pan, "ABCDE1234F");
+  assert.deepEqual(
+    investors[0].statements.map((s) => s.file),
+    ["a.pdf", "b.pdf"],
+  );
+});
+
+test("a statement without PANs joins the holder of a shared folio", () => {
+  const joint = withoutPAN(
+    cas(),
+    "JANE DOE",
+    "HDFC MUTUAL FUND",
+    "1234567 / 89",
+  );
+
+  const { investors } = buildFamilyPortfolio([
+    { data: cas(), file: "john.pdf" },
+    { data: joint, file: "jane.pdf" },
+  ]);
+  assert.deepEqual(
+    investors.map((i) => i.key),
+    ["ABCDE1234F"],
+  );
+});
+
+test("the same folio number at another AMC is not a shared folio", () => {
+  const other = withoutPAN(cas(), "JANE DOE", "Axis Mutual Fund", "1234567/89");
+
+  const { investors } = buildFamilyPortfolio([
+    { data: cas(), file: "john.pdf" },
+    { data: other, file: "jane.pdf" },
+  ]);
+  assert.deepEqual(
+    investors.map((i) => [i.key, i.pan]),
+    [
+      ["ABCDE1234F", "ABCDE1234F"],
+      ["NAME:JANE DOE", null],
+    ],
+  );
+});
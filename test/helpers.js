@@ -0,0 +1,80 @@
+import { spawn } from "node:child_process";
+import { readFileSync } from "node:fs";
+
+import { parseCAS } from "../parser.js";
+
+// Text of a statement in test/fixtures
+export const fixture = (name) =>
+  readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+// A fresh parse of a fixture statement, safe to modify
+export const cas = (name = "cams.txt") => parseCAS(fixture(name));
+
+// A one-folio, one-scheme CAS with the given transactions; `scheme` overrides
+// the scheme's fields
+export const statement = (transactions, scheme = {}) => ({
+  statement_period: { from: "2015-04-01", to: "2026-03-31" },
+  folios: [
+    {
+      folio: "1/1",
+      amc: "ABC Mutual Fund",
+      schemes: [
+        {
+          scheme: "ABC Liquid Fund - Direct Growth",
+          isin: "INF000A01011",
+          open: 0,
+          transactions,
+          ...scheme,
+        },
+      ],
+    },
+  ],
+});
+
+export const buy = (date, units, amount, extra = {}) => ({
+  date,
+  type: "PURCHASE",
+  units,
+  amount,
+  ...extra,
+});
+
+export const sell = (date, units, amount, extra = {}) => ({
+  date,
+  type: "REDEMPTION",
+  units,
+  amount,
+  ...extra,
+});
+
+/**
+ * Starts server.js on a random port, with in-memory uploads and cache so the
+ * run leaves nothing on disk. Call close() when done.
+ *
+ * @param {object} [env] - Extra environment variables.
+ * @returns {Promise<{ url: string, close: () => void }>}
+ */
+export async function startServer(env = {}) {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const server = spawn(process.execPath, ["server.js"], {
+    cwd: new URL("..", import.meta.url),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      UPLOAD_STORAGE: "memory",
+      CACHE_BACKEND: "memory",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "ignore"],
+  });
+
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      if (String(chunk).includes(`running on port ${port}`)) resolve();
+    });
+    server.once("exit", (code) =>
+      reject(new Error(`server.js exited with code ${code}`)),
+    );
+  });
+  return { url: `http://localhost:${port}`, close: () => server.kill() };
+}
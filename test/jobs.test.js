@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+
+import { createJobStore, createWorkerPool } from "../jobs.js";
+
+// Doubles numbers, reporting progress first; "crash" ends the worker
+const WORKER = new URL(
+  "data:text/javascript," +
+    encodeURIComponent(`
+      import { parentPort } from "node:worker_threads";
+      parentPort.on("message", (task) => {
+        if (task === "crash") process.exit(3);
+        if (typeof task !== "number") {
+          parentPort.postMessage({ type: "error", error: { code: "BAD_TASK" } });
+          return;
+        }
+        parentPort.postMessage({ type: "progress", progress: { task } });
+        parentPort.postMessage({ type: "done", result: task * 2 });
+      });
+    `),
+);
+
+// A promise with its resolve and reject exposed
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+test("a job goes from queued to running to done", async () => {
+  const store = createJobStore();
+  const started = deferred();
+  const finish = deferred();
+  const job = store.create(
+    async (context) => {
+      await started.promise;
+      context.start();
+      context.update({ files_done: 1 });
+      return finish.promise;
+    },
+    { files: 1, files_done: 0 },
+  );
+
+  assert.equal(job.status, "queued");
+  assert.equal(store.get(job.id).started_at, null);
+
+  started.resolve();
+  await sleep(0);
+  const running = store.get(job.id);
+  assert.equal(running.status, "running");
+  assert.deepEqual(running.progress, { files: 1, files_done: 1 });
+
+  finish.resolve({ status: 200, body: { success: true, data: 1 } });
+  await sleep(0);
+  const done = store.get(job.id);
+  assert.equal(done.status, "done");
+  assert.deepEqual(done.result, { success: true, data: 1 });
+  assert.equal(done.error, null);
+  assert.ok(Date.parse(done.expires_at) > Date.parse(done.finished_at));
+});
+
+test("error responses and thrown errors fail the job", async () => {
+  const store = createJobStore();
+  const refused = store.create(async () => ({
+    status: 422,
+    body: { success: false, error: "Not a CAS", code: "NOT_A_CAS" },
+  }));
+  const thrown = store.create(async () => {
+    throw new Error("boom");
+  });
+  await sleep(0);
+
+  assert.equal(store.get(refused.id).status, "failed");
+  assert.equal(store.get(refused.id).error, "Not a CAS");
+  assert.equal(store.get(refused.id).result.code, "NOT_A_CAS");
+  assert.deepEqual(
+    [store.get(thrown.id).status, store.get(thrown.id).error],
+    ["failed", "boom"],
+  );
+});
+
+test("finished jobs expire after the TTL", async () => {
+  const store = createJobStore({ ttlMs: 20 });
+  const job = store.create(async () => ({ status: 200, body: {} }));
+  await sleep(0);
+  assert.equal(store.get(job.id).status, "done");
+
+  await sleep(30);
+  assert.equal(store.get(job.id), null);
+  assert.equal(store.get("unknown"), null);
+});
+
+test("the store is full once maxQueued jobs wait to start", async () => {
+  const store = createJobStore({ maxQueued: 2 });
+  const go = deferred();
+  const wait = async (context) => {
+    await go.promise;
+    context.start();
+    return { status: 200, body: {} };
+  };
+  store.create(wait);
+  assert.equal(store.full, false);
+  store.create(wait);
+  assert.deepEqual([store.queued, store.full], [2, true]);
+
+  go.resolve();
+  await sleep(0);
+  assert.deepEqual([store.queued, store.full], [0, false]);
+});
+
+test("the pool runs tasks in order and reports progress", async () => {
+  const pool = createWorkerPool({ file: WORKER, size: 1 });
+  const progress = [];
+  const results = Promise.all(
+    [1, 2, 3].map((n) =>
+      pool.run(n, { onProgress: (p) => progress.push(p.task) }),
+    ),
+  );
+  assert.deepEqual([pool.busy, pool.queued], [1, 2]);
+
+  assert.deepEqual(await results, [2, 4, 6]);
+  assert.deepEqual(progress, [1, 2, 3]);
+  await assert.rejects(pool.run("x"), { code: "BAD_TASK" });
+});
+
+test("a crashed worker fails its task and is replaced", async () => {
+  const pool = createWorkerPool({ file: WORKER, size: 1 });
+  const crash = pool.run("crash");
+  const next = pool.run(21);
+
+  await assert.rejects(crash, /Worker exited with code 3/);
+  assert.equal(await next, 42);
+  assert.equal(await pool.run(5), 10);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { mergeStatements } from "../merge.js";
+import { cas } from "./helpers.js";
+
+test("drops transactions both statements carry", () => {
+  const merged = mergeStatements([cas(), cas()]);
+
+  assert.equal(merged.cas_type, "MERGED");
+  assert.equal(merged.folios.length, 1);
+  assert.deepEqual(
+    merged.folios[0].schemes.map((s) => [s.isin, s.transactions.length]),
+    [
+      ["INF179KB1HD7", 9],
+      ["INF179KB1HK0", 2],
+    ],
+  );
+  assert.equal(merged.merge_report.duplicates_removed, 11);
+  assert.deepEqual(merged.merge_report.gaps, []);
+});
+
+test("keeps the same folio number of two AMCs apart", () => {
+  const other = cas();
+  other.folios[0].amc = "Axis Mutual Fund";
+  for (const scheme of other.folios[0].schemes) {
+    scheme.isin = scheme.isin.replace("INF179", "INF846");
+  }
+  // Same AMC, printed differently
+  const same = cas();
+  same.folios[0].amc = "HDFC MUTUAL FUND";
+
+  const merged = mergeStatements([cas(), other, same]);
+  assert.deepEqual(
+    merged.folios.map((f) => [f.amc, f.folio, f.schemes.length]),
+    [
+      ["HDFC Mutual Fund", "1234567/89", 2],
+      ["Axis Mutual Fund", "1234567/89", 2],
+    ],
+  );
+});
+
+test("leaves the input statements untouched", () => {
+  const statements = [cas(), cas()];
+  const before = JSON.stringify(statements);
+
+  const merged = mergeStatements(statements);
+  // Switch pairing writes to the merged transactions only
+  const switchIn = merged.folios[0].schemes[0].transactions[5];
+  assert.equal(typeof switchIn.switch_pair_id, "string");
+  switchIn.switch_pair_id = "changed";
+
+  assert.equal(JSON.stringify(statements), before);
+});
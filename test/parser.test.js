@@ -0,0 +1,241 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createCASParser, parseCAS } from "../parser.js";
+import { fixture } from "./helpers.js";
+
+test("parses a CAMS detailed statement", () => {
+  const cas = parseCAS(fixture("cams.txt"));
+
+  assert.equal(cas.file_type, "CAMS");
+  assert.equal(cas.cas_type, "DETAILED");
+  assert.deepEqual(cas.statement_period, {
+    from: "2017-04-01",
+    to: "2025-03-31",
+  });
+  assert.equal(cas.investor_info.email, "john@example.com");
+
+  assert.equal(cas.folios.length, 1);
+  const [folio] = cas.folios;
+  assert.equal(folio.folio, "1234567/89");
+  assert.equal(folio.amc, "HDFC Mutual Fund");
+  assert.equal(folio.PAN, "ABCDE1234F");
+  assert.deepEqual(
+    folio.schemes.map((s) => s.isin),
+    ["INF179KB1HD7", "INF179KB1HK0"],
+  );
+
+  const [midCap] = folio.schemes;
+  assert.equal(midCap.close, 361.106);
+  assert.deepEqual(midCap.valuation, {
+    date: "2025-03-31",
+    nav: 150,
+    value: 54165.9,
+    cost: 30000,
+  });
+  assert.equal(midCap.transactions.length, 9);
+});
+
+test("classifies transactions and links reversals, switches and pledges", () => {
+  const [folio] = parseCAS(fixture("cams.txt")).folios;
+  const [midCap, liquid] = folio.schemes;
+  const tx = midCap.transactions;
+
+  assert.deepEqual(
+    tx.map((t) => t.type),
+    [
+      "PURCHASE",
+      "PURCHASE",
+      "STAMP_DUTY_TAX",
+      "PURCHASE",
+      "REDEMPTION",
+      "SWITCH_IN",
+      "REDEMPTION",
+      "STT_TAX",
+      "PLEDGE",
+    ],
+  );
+  assert.equal(tx[1].subtype, "SIP");
+
+  // The reversal cancels the March instalment, not the February one
+  assert.equal(tx[4].subtype, "REVERSAL");
+  assert.equal(tx[4].reversal_id, "2018-03-10/99.995/1");
+  assert.equal(tx[3].reversal_id, tx[4].reversal_id);
+  assert.equal(tx[1].reversal_id, undefined);
+
+  assert.equal(tx[5].switch_pair_id, liquid.transactions[0].switch_pair_id);
+  assert.equal(folio.switches.length, 1);
+  assert.equal(folio.switches[0].from.isin, "INF179KB1HK0");
+  assert.equal(folio.switches[0].to.isin, "INF179KB1HD7");
+
+  // Redeemed and reversed units are positive, like the rest
+  assert.equal(tx[6].units, 100);
+  assert.deepEqual(
+    liquid.transactions.map((t) => [t.type, t.units]),
+    [
+      ["SWITCH_OUT", 1.25],
+      ["PURCHASE", 0.2],
+    ],
+  );
+
+  assert.equal(midCap.pledged_units, 100);
+  assert.equal(midCap.free_units, 261.106);
+});
+
+test("tells identical same-day purchases apart in reversal_id", () => {
+  const text = fixture("cams.txt").replace(
+    "10-Mar-2018 4,999.75 50.0000 99.995 Systematic Investment Purchase 449.990\n",
+    "10-Mar-2018 4,999.75 50.0000 99.995 Systematic Investment Purchase 449.990\n" +
+      "10-Mar-2018 4,999.75 50.0000 99.995 Systematic Investment Purchase 549.985\n" +
+      "11-Mar-2018 4,999.75 50.0000 (99.995) Systematic Investment Purchase Reversed 449.990\n",
+  );
+  const tx = parseCAS(text).folios[0].schemes[0].transactions;
+  const ids = tx.filter((t) => t.reversal_id).map((t) => t.reversal_id);
+
+  assert.deepEqual(ids, [
+    "2018-03-10/99.995/1",
+    "2018-03-10/99.995/2",
+    "2018-03-10/99.995/2",
+    "2018-03-10/99.995/1",
+  ]);
+});
+
+test("tags IDCW payouts, reinvestments and the TDS withheld", () => {
+  const text = fixture("cams.txt")
+    .replace(
+      "15-Jun-2023 1,000.00 5000.0000 0.200 Purchase 8.950\n",
+      "15-Jun-2023 1,000.00 5000.0000 0.200 Purchase 8.950\n" +
+        "20-Sep-2023 250.00 IDCW Paid @ Rs.25 per unit\n" +
+        "20-Sep-2023 25.00 *** TDS on Above ***\n" +
+        "20-Dec-2023 100.00 5000.0000 0.020 Div. Reinv. @ Rs.10 per unit 8.970\n" +
+        "20-Mar-2024 50.00 5000.0000 0.010 IDCW Reinv 8.980\n" +
+        "25-Mar-2024 40.00 5000.0000 0.010 IDCW Reinvestment 8.990\n",
+    )
+    .replace("Closing Unit Balance: 8.950", "Closing Unit Balance: 8.990");
+  const cas = parseCAS(text);
+  const tx = cas.folios[0].schemes[1].transactions.slice(2);
+
+  assert.deepEqual(
+    tx.map((t) => [t.type, t.subtype, t.amount, t.units]),
+    [
+      ["DIVIDEND", "IDCW_PAYOUT", 250, 0],
+      ["TDS_TAX", null, 25, 0],
+      ["DIVIDEND", "IDCW_REINVEST", 100, 0.02],
+      ["DIVIDEND", "IDCW_REINVEST", 50, 0.01],
+      ["DIVIDEND", "IDCW_REINVEST", 40, 0.01],
+    ],
+  );
+  assert.deepEqual(cas.diagnostics.unreconciled, []);
+});
+
+test("reports the balances of a scheme that does not add up", () => {
+  // A dropped row: every later balance is off by its units
+  const text = fixture("cams.txt").replace(
+    "10-Feb-2018 4,999.75 50.0000 99.995 Systematic Investment Purchase 349.995\n",
+    "",
+  );
+  const cas = parseCAS(text);
+  const midCap = cas.folios[0].schemes[0];
+
+  assert.equal(midCap.close_calculated, 261.111);
+  assert.deepEqual(midCap.diagnostics, {
+    reconciled: false,
+    close_difference: -99.995,
+    // Reported once, at the first row whose balance disagrees
+    balance_mismatches: [
+      {
+        date: "2018-03-10",
+        description: "Systematic Investment Purchase",
+        type: "PURCHASE",
+        units: 99.995,
+        balance: 449.99,
+        balance_calculated: 349.995,
+        difference: -99.995,
+      },
+    ],
+    skipped_lines: [],
+  });
+  assert.equal(cas.diagnostics.reconciled, 1);
+  assert.deepEqual(cas.diagnostics.unreconciled, [
+    {
+      folio: "1234567/89",
+      isin: "INF179KB1HD7",
+      scheme: "HDFC Mid-Cap Opportunities Fund - Direct Plan - Growth",
+      close: 361.106,
+      close_calculated: 261.111,
+      balance_mismatches: 1,
+    },
+  ]);
+});
+
+test("parses a KFintech detailed statement", () => {
+  const cas = parseCAS(fixture("kfin.txt"));
+
+  assert.equal(cas.file_type, "KFINTECH");
+  assert.equal(cas.cas_type, "DETAILED");
+  assert.equal(cas.investor_info.address, "12 MG ROAD, BENGALURU 560001");
+  const [folio] = cas.folios;
+  assert.equal(folio.folio, "910101234567 / 0");
+  assert.equal(folio.amc, "Axis Mutual Fund");
+
+  const [scheme] = folio.schemes;
+  // The ISIN is wrapped onto the next line in the PDF text
+  assert.equal(scheme.isin, "INF846K01K35");
+  assert.deepEqual(scheme.nominees, ["JANE DOE", "RAM DOE"]);
+  assert.equal(scheme.close, 590.123);
+  assert.equal(scheme.valuation.value, 10757.94);
+  assert.deepEqual(
+    scheme.transactions.map((t) => t.type),
+    ["PURCHASE", "STAMP_DUTY_TAX", "PURCHASE", "REDEMPTION", "PLEDGE"],
+  );
+  assert.equal(scheme.pledged_units, 100);
+  assert.equal(cas.diagnostics.reconciled, 1);
+});
+
+test("parses the holdings of a depository statement", () => {
+  const cas = parseCAS(fixture("nsdl.txt"));
+
+  assert.equal(cas.file_type, "NSDL");
+  assert.equal(cas.cas_type, "DEPOSITORY");
+  assert.deepEqual(cas.statement_period, {
+    from: "2024-03-01",
+    to: "2024-03-31",
+  });
+  assert.deepEqual(
+    cas.accounts.map((a) => [a.type, a.dp_id, a.value]),
+    [
+      ["NSDL", "IN303575", 39333],
+      ["CDSL", "12081600", 5100],
+      ["SOA", null, 54165.9],
+    ],
+  );
+  const [nsdl, cdsl] = cas.accounts;
+  assert.equal(nsdl.equities[0].isin, "INE002A01018");
+  assert.equal(nsdl.etfs[0].value, 12505);
+  assert.equal(cdsl.bonds[0].name, "HDFC BANK 8.1% NCD 2030");
+  assert.equal(cas.current_value, 98598.9);
+
+  // Demat and statement-of-account mutual funds are both listed as folios
+  const schemes = cas.folios.flatMap((f) => f.schemes);
+  assert.deepEqual(
+    schemes.map((s) => [s.isin, s.close, s.valuation.value]),
+    [
+      ["INF846K01K35", 100, 1823],
+      ["INF179KB1HD7", 361.106, 54165.9],
+    ],
+  );
+});
+
+test("rejects text that is not a CAS", () => {
+  assert.throws(() => parseCAS("hello world"), { code: "NOT_A_CAS" });
+  assert.throws(() => parseCAS("   "), { code: "NOT_A_CAS" });
+});
+
+test("streaming parser returns what parseCAS() does", () => {
+  for (const name of ["cams.txt", "kfin.txt", "nsdl.txt"]) {
+    const text = fixture(name);
+    const parser = createCASParser();
+    for (const line of text.split("\n")) parser.push(line);
+    assert.deepEqual(parser.end(), parseCAS(text), name);
+  }
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createRedactor, redactCAS } from "../redact.js";
+import { cas } from "./helpers.js";
+
+test("the same salt gives the same tokens across statements", () => {
+  const cams = redactCAS(cas("cams.txt"), { salt: "s3cret" });
+  const kfin = redactCAS(cas("kfin.txt"), { salt: "s3cret" });
+  const other = redactCAS(cas("cams.txt"), { salt: "other" });
+
+  assert.match(cams.folios[0].PAN, /^PAN_[0-9a-f]{10}$/);
+  assert.equal(kfin.folios[0].PAN, cams.folios[0].PAN);
+  assert.equal(kfin.investor_info.email, cams.investor_info.email);
+  assert.equal(kfin.investor_info.name, cams.investor_info.name);
+  assert.notEqual(other.folios[0].PAN, cams.folios[0].PAN);
+  assert.equal(cams.folios[0].schemes[0].nominees[0].startsWith("NAME_"), true);
+});
+
+test("folio numbers get one token however they are spaced", () => {
+  const redactor = createRedactor({ salt: "s3cret" });
+
+  assert.equal(
+    redactor.add("FOLIO", "910101234567 / 0"),
+    redactor.add("FOLIO", "910101234567/0"),
+  );
+  assert.equal(redactor.add("FOLIO", "  "), null);
+});
+
+test("leaves the input untouched", () => {
+  const data = cas("cams.txt");
+  const before = JSON.stringify(data);
+
+  const redacted = redactCAS(data);
+  assert.equal(JSON.stringify(data), before);
+  assert.notEqual(redacted.investor_info.name, data.investor_info.name);
+});
+
+test("only free text has PII replaced inside it", () => {
+  const data = cas("cams.txt");
+  // An investor whose name is part of scheme and AMC names
+  data.investor_info.name = "HDFC";
+  data.warnings = [{ reason: "X", text: "Mobile 9876543210 PAN ABCDE1234F" }];
+  data.folios[0].schemes[1].transactions[0].description =
+    "Switch Out - To HDFC Mid-Cap (folio 1234567/89)";
+
+  const { investor_info, folios, warnings } = redactCAS(data, {
+    salt: "s3cret",
+  });
+  const [midCap, liquid] = folios[0].schemes;
+  const name = investor_info.name;
+  assert.match(name, /^NAME_/);
+  assert.equal(folios[0].amc, "HDFC Mutual Fund");
+  assert.equal(midCap.scheme, data.folios[0].schemes[0].scheme);
+  assert.equal(midCap.isin, "INF179KB1HD7");
+  assert.equal(midCap.transactions[0].date, "2017-01-10");
+
+  assert.equal(
+    liquid.transactions[0].description,
+    `Switch Out - To ${name} Mid-Cap (folio ${folios[0].folio})`,
+  );
+  assert.equal(
+    warnings[0].text,
+    `Mobile ${investor_info.mobile} PAN ${folios[0].PAN}`,
+  );
+});
+
+test("family keys built from a name are redacted", () => {
+  const redacted = redactCAS(
+    {
+      investors: [
+        { key: "NAME:JANE DOE", investor_info: { name: "Jane Doe" } },
+      ],
+      duplicates: [{ investor: "NAME:JANE DOE", isin: "INF179KB1HD7" }],
+    },
+    { salt: "s3cret" },
+  );
+
+  const [investor] = redacted.investors;
+  assert.equal(investor.key, `NAME:${investor.investor_info.name}`);
+  assert.equal(redacted.duplicates[0].investor, investor.key);
+  assert.equal(redacted.duplicates[0].isin, "INF179KB1HD7");
+});
+
+test("refuses unknown modes", () => {
+  assert.throws(() => redactCAS({}, { mode: "all" }), /Unknown redact mode/);
+});
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeSipReport } from "../sip.js";
+import { buy, sell, statement } from "./helpers.js";
+
+const sip = (date, amount, extra) =>
+  buy(date, amount / 50, amount, { subtype: "SIP", ...extra });
+
+// ISO dates of `count` months from January 2024 on the given day
+const months = (count, day, from = 0) =>
+  Array.from({ length: count }, (_, i) => {
+    const date = new Date(Date.UTC(2024, from + i, day));
+    return date.toISOString().slice(0, 10);
+  });
+
+test("infers a monthly SIP and its day of month", () => {
+  // March's instalment ran two days late over a weekend
+  const dates = months(6, 10);
+  dates[2] = "2024-03-12";
+  const report = computeSipReport(statement(dates.map((d) => sip(d, 5000))), {
+    asOf: "2024-06-20",
+  });
+
+  const [plan] = report.sips;
+  assert.equal(plan.status, "ACTIVE");
+  assert.equal(plan.frequency, "MONTHLY");
+  assert.equal(plan.day_of_month, 10);
+  assert.equal(plan.amount, 5000);
+  assert.equal(plan.start_date, "2024-01-10");
+  assert.equal(plan.next_due_date, "2024-07-10");
+  assert.deepEqual(plan.missed, []);
+  assert.equal(report.summary.monthly_commitment, 5000);
+  assert.equal(report.summary.total_invested, 30000);
+});
+
+test("infers weekly SIPs and counts them per month", () => {
+  const dates = Array.from({ length: 8 }, (_, i) =>
+    new Date(Date.UTC(2024, 0, 1 + 7 * i)).toISOString().slice(0, 10),
+  );
+  const report = computeSipReport(statement(dates.map((d) => sip(d, 1000))), {
+    asOf: "2024-02-25",
+  });
+
+  const [plan] = report.sips;
+  assert.equal(plan.frequency, "WEEKLY");
+  assert.equal(plan.day_of_month, null);
+  assert.equal(plan.next_due_date, "2024-02-26");
+  assert.equal(report.summary.monthly_commitment, 4345.24);
+});
+
+test("a new amount in the next slot is a step-up of the same SIP", () => {
+  const txs = [
+    ...months(3, 5).map((d) => sip(d, 5000)),
+    ...months(3, 5, 3).map((d) => sip(d, 6000)),
+  ];
+  const report = computeSipReport(statement(txs), { asOf: "2024-06-10" });
+
+  assert.equal(report.sips.length, 1);
+  const [plan] = report.sips;
+  assert.equal(plan.amount, 6000);
+  assert.equal(plan.start_date, "2024-01-05");
+  assert.deepEqual(plan.amount_changes, [
+    { date: "2024-04-05", from: 5000, to: 6000 },
+  ]);
+  assert.equal(report.summary.monthly_commitment, 6000);
+});
+
+test("flags missed and bounced instalments", () => {
+  const dates = months(6, 10).filter((d) => d !== "2024-03-10");
+  const txs = dates.map((d) =>
+    sip(d, 5000, d === "2024-05-10" ? { reversal_id: "r1" } : {}),
+  );
+  txs.push(
+    sell("2024-05-14", 100, 5000, { subtype: "REVERSAL", reversal_id: "r1" }),
+  );
+  const report = computeSipReport(statement(txs), { asOf: "2024-06-20" });
+
+  const [plan] = report.sips;
+  assert.deepEqual(plan.missed, ["2024-03-10"]);
+  assert.deepEqual(plan.bounced, [
+    { date: "2024-05-10", amount: 5000, reversed_on: "2024-05-14" },
+  ]);
+  assert.equal(plan.instalments, 4);
+  assert.equal(plan.total_invested, 20000);
+  assert.deepEqual([report.summary.missed, report.summary.bounced], [1, 1]);
+});
+
+test("a SIP whose next instalment is overdue has stopped", () => {
+  const report = computeSipReport(
+    statement(months(4, 10).map((d) => sip(d, 5000))),
+    { asOf: "2024-06-01" },
+  );
+
+  const [plan] = report.sips;
+  assert.equal(plan.status, "STOPPED");
+  assert.equal(plan.stopped_after, "2024-04-10");
+  assert.equal(plan.next_due_date, null);
+  assert.equal(report.summary.stopped, 1);
+  assert.equal(report.summary.monthly_commitment, 0);
+});
+
+test("two SIPs of one amount on different days stay apart", () => {
+  const txs = [...months(12, 5), ...months(12, 20)]
+    .sort()
+    .map((d) => sip(d, 5000));
+  const report = computeSipReport(statement(txs), { asOf: "2024-12-25" });
+
+  assert.deepEqual(
+    report.sips.map((s) => [s.frequency, s.day_of_month, s.missed.length]),
+    [
+      ["MONTHLY", 5, 0],
+      ["MONTHLY", 20, 0],
+    ],
+  );
+  assert.equal(report.summary.monthly_commitment, 10000);
+});
+
+test("a fortnightly SIP drifting through the month stays one SIP", () => {
+  const dates = Array.from({ length: 26 }, (_, i) =>
+    new Date(Date.UTC(2024, 0, 3 + 14 * i)).toISOString().slice(0, 10),
+  );
+  const report = computeSipReport(statement(dates.map((d) => sip(d, 2000))), {
+    asOf: "2024-12-20",
+  });
+
+  assert.deepEqual(
+    report.sips.map((s) => [s.frequency, s.instalments, s.missed.length]),
+    [["FORTNIGHTLY", 26, 0]],
+  );
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseExitLoad, planTaxHarvest } from "../tax-harvest.js";
+import { cas } from "./helpers.js";
+
+const AXIS = "INF846K01K35";
+const MID_CAP = "INF179KB1HD7";
+
+test("uses the exemption left after this year's realised LTCG", () => {
+  const result = planTaxHarvest(cas("cams.txt"), { asOf: "2025-03-31" });
+
+  assert.equal(result.fy, "FY2024-25");
+  assert.equal(result.exemption_limit, 125000);
+  // The June 2024 redemption, with no 31-Jan-2018 NAV to step its cost up
+  assert.equal(result.realised_ltcg, 8000);
+  assert.equal(result.grandfathering_nav_missing, true);
+  assert.equal(result.remaining_exemption, 117000);
+});
+
+test("grandfathered NAVs lower the realised LTCG", () => {
+  const result = planTaxHarvest(cas("cams.txt"), {
+    asOf: "2025-03-31",
+    grandfatheredNavs: { [MID_CAP]: 60 },
+  });
+
+  assert.equal(result.realised_ltcg, 6000);
+  assert.equal(result.grandfathering_nav_missing, false);
+  assert.equal(result.remaining_exemption, 119000);
+});
+
+test("never offers pledged units", () => {
+  const { schemes, plan } = planTaxHarvest(cas("cams.txt"), {
+    asOf: "2025-03-31",
+  });
+  const midCap = schemes.find((s) => s.isin === MID_CAP);
+
+  assert.equal(midCap.units, 361.106);
+  assert.equal(midCap.pledged_units, 100);
+  assert.equal(midCap.harvestable_units, 261.106);
+  assert.equal(midCap.harvest_stop_reason, "PLEDGED");
+  // Reversed instalments are not lots
+  assert.deepEqual(
+    midCap.lots.map((l) => [l.purchase_date, l.units, l.term]),
+    [
+      ["2017-01-10", 150, "LTCG"],
+      ["2018-02-10", 99.995, "LTCG"],
+      ["2019-04-10", 111.111, "LTCG"],
+    ],
+  );
+
+  assert.deepEqual(plan.redemptions, [
+    {
+      folio: "1234567/89",
+      scheme: "HDFC Mid-Cap Opportunities Fund - Direct Plan - Growth",
+      isin: MID_CAP,
+      units: 261.106,
+      value: 39165.9,
+      gain: 27665.9,
+    },
+  ]);
+});
+
+test("stops once the exemption is used up", () => {
+  const { schemes, plan, remaining_exemption } = planTaxHarvest(
+    cas("cams.txt"),
+    { asOf: "2025-03-31", realisedLtcg: 110000 },
+  );
+  const midCap = schemes.find((s) => s.isin === MID_CAP);
+
+  assert.equal(remaining_exemption, 15000);
+  assert.equal(midCap.harvest_stop_reason, "EXEMPTION_EXHAUSTED");
+  // 15000 of gain at 110 a unit on the oldest lot
+  assert.equal(midCap.harvestable_units, 136.363);
+  assert.equal(plan.total_gain, 15000);
+});
+
+test("only equity funds are harvested", () => {
+  const { schemes } = planTaxHarvest(cas("cams.txt"), { asOf: "2025-03-31" });
+  const liquid = schemes.find((s) => s.isin === "INF179KB1HK0");
+
+  assert.equal(liquid.tax_class, "DEBT");
+  assert.equal(liquid.harvestable_units, 0);
+  assert.equal(liquid.harvest_stop_reason, "NOT_EQUITY");
+  // Opening-balance units have no known cost
+  assert.equal(liquid.lots[0].cost, null);
+});
+
+test("shows when short-term lots turn long-term and exit-load free", () => {
+  const funds = {
+    [AXIS]: { exit_load: "Exit load of 1% if redeemed within 1 year" },
+  };
+  const data = cas("kfin.txt");
+
+  const [early] = planTaxHarvest(data, { asOf: "2024-03-31", funds }).schemes;
+  assert.equal(early.harvest_stop_reason, "SHORT_TERM_LOT");
+  assert.equal(early.harvestable_units, 0);
+  assert.equal(early.short_term_units, 590.123);
+  assert.equal(early.next_long_term_date, "2024-04-11");
+  assert.deepEqual(
+    early.lots.map((l) => [
+      l.long_term_from,
+      l.days_to_long_term,
+      l.exit_load_free,
+      l.exit_load_free_from,
+    ]),
+    [
+      ["2024-04-11", 11, false, "2024-04-10"],
+      ["2024-05-11", 41, false, "2024-05-10"],
+    ],
+  );
+
+  // Between the two dates only the first lot has turned long-term
+  const [later] = planTaxHarvest(data, { asOf: "2024-04-20", funds }).schemes;
+  assert.equal(later.harvest_stop_reason, "SHORT_TERM_LOT");
+  assert.equal(later.harvestable_units, 250.123);
+});
+
+test("parseExitLoad reads the period out of Groww's text", () => {
+  assert.deepEqual(parseExitLoad("Nil"), { nil: true, value: 0, unit: "day" });
+  assert.deepEqual(
+    parseExitLoad("Exit load of 1% if redeemed within 15 days"),
+    { nil: false, value: 15, unit: "day" },
+  );
+  assert.equal(parseExitLoad("1% on or before 1Y"), null);
+  assert.equal(parseExitLoad(undefined), null);
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { pairSwitches } from "../transactions.js";
+
+const switchOut = (date, amount) => ({
+  date,
+  type: "SWITCH_OUT",
+  units: amount / 10,
+  amount,
+});
+const switchIn = (date, amount) => ({
+  date,
+  type: "SWITCH_IN",
+  units: amount / 20,
+  amount,
+});
+
+// A folio of a liquid fund switching into an equity fund
+const folio = (outs, ins) => ({
+  folio: "1/1",
+  schemes: [
+    { scheme: "ABC Liquid Fund", isin: "INF000A01011", transactions: outs },
+    { scheme: "ABC Equity Fund", isin: "INF000A01029", transactions: ins },
+  ],
+});
+
+test("pairs a switch-out with the switch-in into another scheme", () => {
+  const out = switchOut("2024-07-01", 5000);
+  // Stamp duty comes off the in-leg, allotted the next day
+  const into = switchIn("2024-07-02", 4999.75);
+
+  const switches = pairSwitches(folio([out], [into]));
+  assert.equal(out.switch_pair_id, "2024-07-01/INF000A01011/5000");
+  assert.equal(into.switch_pair_id, out.switch_pair_id);
+  assert.deepEqual(switches, [
+    {
+      switch_pair_id: out.switch_pair_id,
+      date: "2024-07-01",
+      amount: 5000,
+      from: {
+        scheme: "ABC Liquid Fund",
+        isin: "INF000A01011",
+        date: "2024-07-01",
+        amount: 5000,
+        units: 500,
+      },
+      to: {
+        scheme: "ABC Equity Fund",
+        isin: "INF000A01029",
+        date: "2024-07-02",
+        amount: 4999.75,
+        units: 249.988,
+      },
+    },
+  ]);
+});
+
+test("does not pair legs more than 0.5% apart in amount", () => {
+  const out = switchOut("2024-07-01", 10000);
+  const into = switchIn("2024-07-01", 9940);
+
+  const switches = pairSwitches(folio([out], [into]));
+  assert.equal(out.switch_pair_id, undefined);
+  assert.equal(into.switch_pair_id, undefined);
+  assert.deepEqual(
+    switches.map((s) => [s.from?.amount ?? null, s.to?.amount ?? null]),
+    [
+      [10000, null],
+      [null, 9940],
+    ],
+  );
+
+  // 0.5% of 10000 is still a match
+  assert.equal(
+    pairSwitches(folio([out], [switchIn("2024-07-01", 9950)]))[0].to.amount,
+    9950,
+  );
+});
+
+test("does not pair an in-leg more than 3 days later or before the out-leg", () => {
+  const out = switchOut("2024-07-01", 5000);
+
+  for (const date of ["2024-07-05", "2024-06-30"]) {
+    const into = switchIn(date, 5000);
+    pairSwitches(folio([out], [into]));
+    assert.equal(into.switch_pair_id, undefined, date);
+  }
+  const into = switchIn("2024-07-04", 5000);
+  pairSwitches(folio([out], [into]));
+  assert.equal(into.switch_pair_id, out.switch_pair_id);
+});
+
+test("prefers the closest date, and never pairs within one scheme", () => {
+  const out = switchOut("2024-07-01", 5000);
+  const later = switchIn("2024-07-03", 5000);
+  const sooner = switchIn("2024-07-02", 5000);
+  const sameScheme = switchIn("2024-07-01", 5000);
+
+  pairSwitches(folio([out, sameScheme], [later, sooner]));
+  assert.equal(sooner.switch_pair_id, out.switch_pair_id);
+  assert.equal(later.switch_pair_id, undefined);
+  assert.equal(sameScheme.switch_pair_id, undefined);
+});
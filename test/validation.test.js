@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  array,
+  date,
+  flag,
+  isin,
+  number,
+  object,
+  record,
+  schemeCode,
+  string,
+  validate,
+  validateRequest,
+} from "../validation.js";
+
+// Runs the middleware on a fake request; returns the 400 response or "next"
+function run(middleware, req) {
+  let response = null;
+  const res = {
+    status(code) {
+      response = { status: code };
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    },
+  };
+  middleware({ params: {}, query: {}, ...req }, res, () => (response = "next"));
+  return response;
+}
+
+test("isin() takes upper-case Indian ISINs only", () => {
+  assert.deepEqual(validate(isin(), "INF179KB1HD7"), []);
+  for (const bad of ["inf179kb1hd7", " INF179KB1HD7", "US0378331005", "INF1"]) {
+    assert.deepEqual(validate(isin(), bad, "isin"), [
+      {
+        field: "isin",
+        message: "must be an upper-case ISIN like INF179KB1HD7",
+      },
+    ]);
+  }
+});
+
+test("scheme codes may be numbers or strings of digits", () => {
+  assert.deepEqual(validate(schemeCode(), 151278), []);
+  assert.deepEqual(validate(schemeCode(), "151278"), []);
+  assert.equal(validate(schemeCode(), "15a").length, 1);
+  assert.equal(validate(schemeCode(), -3).length, 1);
+});
+
+test("dates must match a format and exist", () => {
+  const rule = date(["DD-MM-YYYY", "YYYY-MM-DD"]);
+
+  assert.deepEqual(validate(rule, "28-02-2025"), []);
+  assert.deepEqual(validate(rule, "2025-02-28"), []);
+  assert.deepEqual(validate(rule, "31-04-2025", "to"), [
+    { field: "to", message: "is not a valid calendar date" },
+  ]);
+  assert.deepEqual(validate(rule, "28/02/2025", "to"), [
+    {
+      field: "to",
+      message: "must be a date in DD-MM-YYYY or YYYY-MM-DD format",
+    },
+  ]);
+});
+
+test("nested rules report the path of every failing field", () => {
+  const rule = object({
+    funds: array(object({ isin: isin(), units: number({ min: 0 }) }), {
+      max: 2,
+    }),
+    navs: record(string(), { key: isin(), optional: true }),
+    debug: flag(),
+  });
+
+  assert.deepEqual(
+    validate(rule, {
+      funds: [{ isin: "INF179KB1HD7", units: -1 }, { units: "1" }],
+      navs: { bad: "1", INF179KB1HD7: 2 },
+      debug: "yes",
+    }),
+    [
+      { field: "funds[0].units", message: "must be at least 0" },
+      { field: "funds[1].isin", message: "is required" },
+      { field: "funds[1].units", message: "must be a number" },
+      {
+        field: "navs.bad",
+        message: "key must be an upper-case ISIN like INF179KB1HD7",
+      },
+      { field: "navs.INF179KB1HD7", message: "must be a string" },
+      { field: "debug", message: "must be one of: 1, true, 0, false" },
+    ],
+  );
+  assert.deepEqual(validate(rule, { funds: [{}, {}, {}] }), [
+    { field: "funds", message: "must have at most 2 items" },
+  ]);
+});
+
+test("object checks run only once every field is valid", () => {
+  const range = object(
+    { from: date(["YYYY-MM-DD"]), to: date(["YYYY-MM-DD"]) },
+    {
+      check: ({ from, to }) =>
+        from > to ? [{ field: "from", message: "must not be after to" }] : [],
+    },
+  );
+
+  assert.deepEqual(validate(range, { from: "2025-02-01", to: "2025-01-01" }), [
+    { field: "from", message: "must not be after to" },
+  ]);
+  assert.deepEqual(validate(range, { from: "2025-02-01", to: "x" }), [
+    { field: "to", message: "must be a date in YYYY-MM-DD format" },
+  ]);
+});
+
+test("validateRequest answers 400 INVALID_REQUEST listing every problem", () => {
+  const middleware = validateRequest({
+    params: object({ schemeCode: schemeCode() }),
+    body: object({ isins: array(isin(), { min: 1 }) }),
+  });
+
+  const response = run(middleware, {
+    params: { schemeCode: "abc" },
+    body: { isins: [] },
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body, {
+    success: false,
+    error: "schemeCode must be a numeric AMFI scheme code (and 1 more)",
+    code: "INVALID_REQUEST",
+    errors: [
+      {
+        location: "params",
+        field: "schemeCode",
+        message: "must be a numeric AMFI scheme code",
+      },
+      { location: "body", field: "isins", message: "must not be empty" },
+    ],
+  });
+});
+
+test("validateRequest passes valid requests on", () => {
+  const middleware = validateRequest({
+    query: object({ format: string({ enum: ["csv"], optional: true }) }),
+    body: object({ isins: array(isin(), { min: 1 }) }),
+  });
+
+  assert.equal(run(middleware, { body: { isins: ["INF179KB1HD7"] } }), "next");
+  // A missing body is validated as an empty object
+  assert.equal(run(middleware, {}).body.errors[0].field, "isins");
+});
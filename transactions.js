@@ -0,0 +1,372 @@
+/**
+ * @file transactions.js
+ * @description Shared helpers for working with parsed CAS transactions - unit direction, dates and FIFO lots.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+
+// The parser strips the brackets off outflow units, so direction comes from the type.
+export const UNIT_INFLOW_TYPES = new Set(["PURCHASE", "SWITCH_IN"]);
+export const UNIT_OUTFLOW_TYPES = new Set(["REDEMPTION", "SWITCH_OUT"]);
+
+// Pledge and lien rows encumber units without moving them
+export const ENCUMBER_TYPES = new Set(["PLEDGE", "LIEN_MARKED"]);
+export const RELEASE_TYPES = new Set(["UNPLEDGE", "LIEN_REMOVED"]);
+
+const MONTHS = {
+  jan: 0,
+  feb: 1,
+  mar: 2,
+  apr: 3,
+  may: 4,
+  jun: 5,
+  jul: 6,
+  aug: 7,
+  sep: 8,
+  oct: 9,
+  nov: 10,
+  dec: 11,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses the date formats that flow through this backend into a UTC Date:
+ * "YYYY-MM-DD" (parser output), "DD-MM-YYYY" (mfapi) and "DD-Mon-YYYY" (CAS / Groww).
+ *
+ * @param {string|Date} value
+ * @returns {Date|null} null when the value is missing, unparseable or not a calendar
+ *   date (e.g. 2025-13-45 or 31-04-2025).
+ */
+export function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  let m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return utcDate(+m[1], +m[2] - 1, +m[3]);
+
+  m = String(value).match(/^(\d{2})-(\d{2})-(\d{4})$/);
+  if (m) return utcDate(+m[3], +m[2] - 1, +m[1]);
+
+  m = String(value).match(/^(\d{2})-([A-Za-z]{3})-(\d{4})$/);
+  if (m && MONTHS[m[2].toLowerCase()] !== undefined) {
+    return utcDate(+m[3], MONTHS[m[2].toLowerCase()], +m[1]);
+  }
+
+  return null;
+}
+
+// Date.UTC rolls overflowing months and days into the next month or year
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day
+    ? date
+    : null;
+}
+
+export function toISODate(date) {
+  return date ? date.toISOString().substring(0, 10) : null;
+}
+
+export function daysBetween(from, to) {
+  return Math.round((to - from) / DAY_MS);
+}
+
+export function round(value, decimals = 2) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Purchase reversals and bounced payments are booked as REDEMPTION rows but
+// cancel an earlier purchase rather than selling units.
+export function isReversal(tx) {
+  if (tx.type !== "REDEMPTION") return false;
+  return (
+    tx.subtype === "REVERSAL" ||
+    /reversed|reversal|dishonoured/i.test(tx.description || "")
+  );
+}
+
+/**
+ * Signed unit movement of a transaction: positive for units added, negative for
+ * units removed, zero for rows that do not touch the balance (taxes, payouts).
+ */
+export function signedUnits(tx) {
+  const units = Math.abs(tx.units || 0);
+  if (UNIT_INFLOW_TYPES.has(tx.type)) return units;
+  if (UNIT_OUTFLOW_TYPES.has(tx.type)) return -units;
+  // Reinvested dividends add units; payouts leave the balance untouched
+  if (tx.type === "DIVIDEND") return units;
+  return 0;
+}
+
+/**
+ * Units of a scheme under pledge or lien after its last transaction, and the rest.
+ * Only events inside the statement period are visible: a pledge made before it
+ * started is not counted until it is released.
+ *
+ * @param {object} scheme - Parsed scheme with `close` and `transactions`.
+ * @returns {{ pledged_units: number, free_units: number }}
+ */
+export function pledgeBalance(scheme) {
+  let pledged = 0;
+  for (const tx of scheme.transactions || []) {
+    const units = Math.abs(tx.units || 0);
+    if (ENCUMBER_TYPES.has(tx.type)) pledged += units;
+    if (RELEASE_TYPES.has(tx.type)) pledged = Math.max(0, pledged - units);
+  }
+
+  const close = scheme.close || 0;
+  pledged = Math.min(pledged, close);
+  return {
+    pledged_units: round(pledged, 3),
+    free_units: round(close - pledged, 3),
+  };
+}
+
+/**
+ * Walks a scheme's transactions in date order and builds FIFO purchase lots.
+ * Outflows consume the oldest lots first; reversals cancel the newest lot instead.
+ * Stamp duty is added to the cost of the lot bought on the same day.
+ *
+ * @param {object[]} transactions - Parsed transactions of a single scheme.
+ * @param {object} [opening] - Units carried in from before the statement period.
+ * @param {number} opening.units
+ * @param {number} opening.cost
+ * @param {string|null} opening.date - ISO date the opening units are assumed bought on.
+ * @returns {{ lots: object[], disposals: object[] }} Open lots with remaining units/cost,
+ *   and one disposal entry per (sale, lot) pair consumed.
+ */
+export function buildFifoLots(transactions, opening = null) {
+  const lots = [];
+  const disposals = [];
+
+  if (opening && opening.units > 0) {
+    lots.push({
+      date: opening.date,
+      units: opening.units,
+      cost: opening.cost,
+      opening: true,
+    });
+  }
+
+  const ordered = [...transactions].sort((a, b) =>
+    a.date < b.date ? -1 : a.date > b.date ? 1 : 0,
+  );
+
+  for (const tx of ordered) {
+    const delta = signedUnits(tx);
+
+    if (tx.type === "STAMP_DUTY_TAX") {
+      const lot = [...lots].reverse().find((l) => l.date === tx.date);
+      if (lot) lot.cost += tx.amount || 0;
+      continue;
+    }
+
+    if (delta > 0) {
+      // Reinvested dividends are bought at NAV, so amount is the cost either way
+      lots.push({
+        date: tx.date,
+        units: delta,
+        cost: tx.amount || delta * (tx.nav || 0),
+        opening: false,
+      });
+      continue;
+    }
+
+    if (delta < 0) {
+      let remaining = -delta;
+
+      if (isReversal(tx)) {
+        while (remaining > 1e-6 && lots.length > 0) {
+          const lot = lots[lots.length - 1];
+          const take = Math.min(lot.units, remaining);
+          lot.cost -= (lot.cost / lot.units) * take;
+          lot.units -= take;
+          remaining -= take;
+          if (lot.units <= 1e-6) lots.pop();
+        }
+        continue;
+      }
+
+      const saleUnits = remaining;
+      while (remaining > 1e-6 && lots.length > 0) {
+        const lot = lots[0];
+        const take = Math.min(lot.units, remaining);
+        const lotCost = (lot.cost / lot.units) * take;
+
+        disposals.push({
+          sale: tx,
+          lot: { date: lot.date, opening: lot.opening },
+          units: take,
+          cost: lotCost,
+          proceeds: ((tx.amount || 0) * take) / saleUnits,
+        });
+
+        lot.cost -= lotCost;
+        lot.units -= take;
+        remaining -= take;
+        if (lot.units <= 1e-6) lots.shift();
+      }
+
+      // Sold more than we know was bought - history before the statement is missing
+      if (remaining > 1e-6) {
+        disposals.push({
+          sale: tx,
+          lot: null,
+          units: remaining,
+          cost: null,
+          proceeds: ((tx.amount || 0) * remaining) / saleUnits,
+        });
+      }
+    }
+  }
+
+  return { lots, disposals };
+}
+
+/**
+ * Indian financial year (April-March) a date falls in, e.g. "FY2023-24".
+ *
+ * @param {string|Date} value
+ * @returns {string|null}
+ */
+export function financialYear(value) {
+  const date = toDate(value);
+  if (!date) return null;
+  const start =
+    date.getUTCMonth() >= 3 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+  return `FY${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+export function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  // Clamp 31-Jan + 1 month to the last day of February, not 3-Mar
+  const lastDay = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+// Switch-out and switch-in amounts differ by stamp duty and any exit load, and
+// the in-leg may be allotted a day or two after the out-leg
+const SWITCH_AMOUNT_TOLERANCE = 0.005;
+const SWITCH_MAX_LAG_DAYS = 3;
+
+function switchLeg(tx) {
+  if (tx.type === "SWITCH_OUT") return "OUT";
+  if (tx.type === "SWITCH_IN") return "IN";
+  if (tx.subtype !== "STP") return null;
+  if (tx.type === "REDEMPTION") return "OUT";
+  if (tx.type === "PURCHASE") return "IN";
+  return null;
+}
+
+/**
+ * Pairs the two legs of each switch (or STP instalment) between schemes of one
+ * folio: a switch-out matched to the switch-in into another scheme on the same
+ * or a following day for about the same amount. Both rows get the same
+ * `switch_pair_id`, and the folio gets a `switches` list. Legs with no
+ * counterpart are listed with the other side null.
+ *
+ * @param {object} folio - Detailed folio with `schemes[].transactions`.
+ * @returns {object[]} [{ switch_pair_id, date, amount, from, to }] - `from`/`to` are
+ *   { scheme, isin, date, amount, units }.
+ */
+export function pairSwitches(folio) {
+  const outs = [];
+  const ins = [];
+  for (const scheme of folio.schemes || []) {
+    for (const tx of scheme.transactions || []) {
+      // Pairing is recomputed from scratch, e.g. after merging statements
+      delete tx.switch_pair_id;
+      const leg = switchLeg(tx);
+      if (leg === "OUT") outs.push({ scheme, tx });
+      if (leg === "IN") ins.push({ scheme, tx });
+    }
+  }
+
+  const amountOf = (leg) => Math.abs(leg.tx.amount || 0);
+  const describe = (leg) =>
+    leg && {
+      scheme: leg.scheme.scheme,
+      isin: leg.scheme.isin,
+      date: leg.tx.date,
+      amount: round(amountOf(leg)),
+      units: round(Math.abs(leg.tx.units || 0), 3),
+    };
+
+  const switches = [];
+  const paired = new Set();
+  const seen = new Map();
+  outs.sort((a, b) => (a.tx.date < b.tx.date ? -1 : 1));
+
+  for (const out of outs) {
+    const outDate = toDate(out.tx.date);
+    let best = null;
+    for (const candidate of ins) {
+      if (paired.has(candidate) || candidate.scheme === out.scheme) continue;
+      const lag = daysBetween(outDate, toDate(candidate.tx.date));
+      if (!(lag >= 0 && lag <= SWITCH_MAX_LAG_DAYS)) continue;
+      const difference = Math.abs(amountOf(out) - amountOf(candidate));
+      if (difference > Math.max(1, amountOf(out) * SWITCH_AMOUNT_TOLERANCE)) {
+        continue;
+      }
+      // Closest date first, then closest amount
+      if (
+        !best ||
+        lag < best.lag ||
+        (lag === best.lag && difference < best.difference)
+      ) {
+        best = { leg: candidate, lag, difference };
+      }
+    }
+
+    if (!best) {
+      switches.push({
+        switch_pair_id: null,
+        date: out.tx.date,
+        amount: round(amountOf(out)),
+        from: describe(out),
+        to: null,
+      });
+      continue;
+    }
+
+    // Derived from the out-leg so it survives merging statements
+    const base = `${out.tx.date}/${out.scheme.isin || out.scheme.scheme}/${round(amountOf(out))}`;
+    const occurrence = (seen.get(base) || 0) + 1;
+    seen.set(base, occurrence);
+    const id = occurrence > 1 ? `${base}/${occurrence}` : base;
+
+    paired.add(best.leg);
+    out.tx.switch_pair_id = id;
+    best.leg.tx.switch_pair_id = id;
+    switches.push({
+      switch_pair_id: id,
+      date: out.tx.date,
+      amount: round(amountOf(out)),
+      from: describe(out),
+      to: describe(best.leg),
+    });
+  }
+
+  for (const leg of ins.filter((leg) => !paired.has(leg))) {
+    switches.push({
+      switch_pair_id: null,
+      date: leg.tx.date,
+      amount: round(amountOf(leg)),
+      from: null,
+      to: describe(leg),
+    });
+  }
+
+  switches.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  folio.switches = switches;
+  return switches;
+}
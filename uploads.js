@@ -0,0 +1,200 @@
+/**
+ * @file uploads.js
+ * @description Upload handling for CAS PDFs - size, count and type limits, PDF magic-byte checks,
+ * memory or private temp-dir storage, guaranteed clean-up and a sweep of files left behind by a crash.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import fs from "fs/promises";
+import { chmodSync, mkdirSync } from "fs";
+import path from "path";
+import multer from "multer";
+import { AppError } from "./errors.js";
+
+const MB = 1024 * 1024;
+const toMB = (bytes) => Math.round((bytes / MB) * 10) / 10;
+
+// Browsers send application/pdf; curl and some mobile pickers send the generic type
+const PDF_MIME_TYPES = new Set([
+  "application/pdf",
+  "application/x-pdf",
+  "application/octet-stream",
+]);
+
+// The PDF header may follow a little junk, but must start within the first 1 KB
+const PDF_MAGIC = Buffer.from("%PDF-");
+const MAGIC_WINDOW = 1024;
+
+/**
+ * Upload settings from environment variables:
+ * - UPLOAD_STORAGE          disk (default) | memory
+ * - UPLOAD_DIR              directory for disk storage (default "uploads")
+ * - UPLOAD_MAX_MB           per-file size limit in MB (default 10)
+ *
+ * @param {object} [env=process.env]
+ */
+export function uploadConfigFromEnv(env = process.env) {
+  const storage = (env.UPLOAD_STORAGE || "disk").toLowerCase();
+  if (storage !== "disk" && storage !== "memory") {
+    throw new Error(`Unknown UPLOAD_STORAGE "${storage}"`);
+  }
+  return {
+    storage,
+    dir: env.UPLOAD_DIR || "uploads",
+    // busboy only stops at a whole number of bytes
+    maxBytes: Math.floor((parseFloat(env.UPLOAD_MAX_MB) || 10) * MB),
+  };
+}
+
+/**
+ * multer instance for CAS uploads. Disk uploads go to a directory only this
+ * process's user can read, under random names; memory uploads never touch disk.
+ * Files that are not PDFs by name or type are refused before they are stored.
+ *
+ * @param {object} config - uploadConfigFromEnv() output.
+ * @param {number} [maxFiles=11]
+ */
+export function createUploader(config, maxFiles = 11) {
+  let storage;
+  if (config.storage === "memory") {
+    storage = multer.memoryStorage();
+  } else {
+    mkdirSync(config.dir, { recursive: true, mode: 0o700 });
+    // An existing directory keeps its mode; statements are nobody else's business
+    chmodSync(config.dir, 0o700);
+    storage = multer.diskStorage({ destination: config.dir });
+  }
+
+  return multer({
+    storage,
+    limits: { fileSize: config.maxBytes, files: maxFiles, fields: 20 },
+    fileFilter: (req, file, cb) => {
+      const named = /\.pdf$/i.test(file.originalname || "");
+      if (
+        PDF_MIME_TYPES.has(file.mimetype) &&
+        (named || file.mimetype !== "application/octet-stream")
+      ) {
+        return cb(null, true);
+      }
+      cb(
+        new AppError(
+          "NOT_A_PDF",
+          `${file.originalname || file.fieldname} is not a PDF`,
+        ),
+      );
+    },
+  });
+}
+
+/**
+ * An error raised while receiving an upload, as an AppError.
+ *
+ * @param {Error} err - A multer error, or the fileFilter's NOT_A_PDF error.
+ * @param {object} config - uploadConfigFromEnv() output.
+ * @returns {AppError} FILE_TOO_LARGE, NOT_A_PDF or INVALID_UPLOAD.
+ */
+export function uploadError(err, config) {
+  if (err instanceof AppError) return err;
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return new AppError(
+      "FILE_TOO_LARGE",
+      `File too large - the limit is ${toMB(config.maxBytes)} MB`,
+    );
+  }
+  // Too many files, or a file in a field other than `file`/`files`
+  return new AppError(
+    "INVALID_UPLOAD",
+    err.field ? `${err.message}: ${err.field}` : err.message,
+  );
+}
+
+/**
+ * Where a stored upload's bytes are: the buffer in memory mode, else the file path.
+ *
+ * @param {object} file - A multer file.
+ * @returns {Buffer|string}
+ */
+export const uploadSource = (file) => file.buffer || file.path;
+
+/**
+ * Whether an upload starts like a PDF, whatever its name and declared type said.
+ *
+ * @param {object} file - A multer file.
+ * @returns {Promise<boolean>}
+ */
+export async function isPDF(file) {
+  let head;
+  if (file.buffer) {
+    head = file.buffer.subarray(0, MAGIC_WINDOW);
+  } else {
+    const handle = await fs.open(file.path, "r");
+    try {
+      const { buffer, bytesRead } = await handle.read(
+        Buffer.alloc(MAGIC_WINDOW),
+        0,
+        MAGIC_WINDOW,
+        0,
+      );
+      head = buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+  return head.includes(PDF_MAGIC);
+}
+
+/**
+ * Deletes stored uploads (or drops their buffers). Never throws: clean-up runs in
+ * finally blocks and must not hide the original error.
+ *
+ * @param {object[]} files - multer files.
+ */
+export async function removeUploads(files) {
+  await Promise.all(
+    (files || []).map(async (file) => {
+      file.buffer = null;
+      if (!file.path) return;
+      try {
+        await fs.unlink(file.path);
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          console.error(`Could not delete upload ${file.path}:`, err.message);
+        }
+      }
+    }),
+  );
+}
+
+/**
+ * Deletes files left in the upload directory by a crash or restart. Call it at
+ * startup only: then no request or queued job owns a file there, while later on
+ * a job may wait in the queue for longer than any fixed age.
+ *
+ * @param {object} config - uploadConfigFromEnv() output.
+ * @returns {Promise<number>} Files removed.
+ */
+export async function sweepUploads(config) {
+  if (config.storage !== "disk") return 0;
+
+  let names;
+  try {
+    names = await fs.readdir(config.dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+
+  let removed = 0;
+  for (const name of names) {
+    const file = path.join(config.dir, name);
+    try {
+      const stat = await fs.stat(file);
+      if (!stat.isFile()) continue;
+      await fs.unlink(file);
+      removed++;
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,295 @@
+/**
+ * @file validation.js
+ * @description Declarative request validation - rule builders for the values the API accepts (ISINs,
+ * scheme codes, dates, capped arrays and maps) and an Express middleware that answers 400 with field-level errors.
+ * @author Pabitra Swain - https://github.com/the-sdet
+ * @license MIT
+ */
+import { AppError, errorResponse } from "./errors.js";
+import { ISIN_PATTERN } from "./resolver.js";
+import { toDate } from "./transactions.js";
+
+// Groww search ids are URL slugs, e.g. motilal-oswal-midcap-fund-direct-growth
+const SEARCH_KEY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/i;
+
+const DATE_PATTERNS = {
+  "DD-MM-YYYY": /^\d{2}-\d{2}-\d{4}$/,
+  "DD-Mon-YYYY": /^\d{2}-[A-Za-z]{3}-\d{4}$/,
+  "YYYY-MM-DD": /^\d{4}-\d{2}-\d{2}$/,
+};
+
+// Every rule takes { optional, message } besides its own options. An optional
+// value may be missing or null; `message` replaces the rule's own error text.
+
+/**
+ * @param {object} [options] - { pattern, enum, maxLength, optional, message, normalise }.
+ *   `normalise(value)` is what gets checked, e.g. upper-cased; the request keeps the original.
+ */
+export const string = (options = {}) => ({ type: "string", ...options });
+
+/** @param {object} [options] - { min, max, integer, optional, message } */
+export const number = (options = {}) => ({ type: "number", ...options });
+
+/** @param {object} [options] - { optional } */
+export const boolean = (options = {}) => ({ type: "boolean", ...options });
+
+/**
+ * @param {object} items - Rule for every element.
+ * @param {object} [options] - { min, max, optional }
+ */
+export const array = (items, options = {}) => ({
+  type: "array",
+  items,
+  ...options,
+});
+
+/**
+ * @param {object} fields - Rule per field; fields without a rule are not checked.
+ * @param {object} [options] - { optional, check }. `check(value)` runs once every field
+ *   is valid, for rules across fields; it returns [{ field, message }] (field relative
+ *   to this object, "" for the object itself).
+ */
+export const object = (fields, options = {}) => ({
+  type: "object",
+  fields,
+  ...options,
+});
+
+/**
+ * A map with arbitrary keys, e.g. keyed by ISIN.
+ *
+ * @param {object} values - Rule for every value.
+ * @param {object} [options] - { key: rule for every key, min, max: fewest and most keys, optional }
+ */
+export const record = (values, options = {}) => ({
+  type: "record",
+  values,
+  ...options,
+});
+
+/**
+ * A 12-character Indian ISIN in upper case. Lookups downstream match ISINs
+ * exactly, so "inf179kb1hd7" is refused rather than passed on to miss them.
+ */
+export const isin = (options = {}) =>
+  string({
+    pattern: ISIN_PATTERN,
+    message: "must be an upper-case ISIN like INF179KB1HD7",
+    ...options,
+  });
+
+/** An AMFI scheme code, as a number or a string of digits. */
+export const schemeCode = (options = {}) => ({
+  type: "schemeCode",
+  ...options,
+});
+
+/** A Groww search id. */
+export const searchKey = (options = {}) =>
+  string({
+    pattern: SEARCH_KEY_PATTERN,
+    maxLength: 200,
+    message:
+      "must be a Groww search id like hdfc-mid-cap-opportunities-fund-direct-growth",
+    ...options,
+  });
+
+/**
+ * A real calendar date in one of the given formats.
+ *
+ * @param {string[]} formats - Keys of DATE_PATTERNS.
+ * @param {object} [options] - { optional, message }
+ */
+export const date = (formats, options = {}) => ({
+  type: "date",
+  formats,
+  ...options,
+});
+
+/** A query flag: 1/true or 0/false. */
+export const flag = () =>
+  string({ enum: ["1", "true", "0", "false"], optional: true });
+
+const join = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Checks a value against a rule.
+ *
+ * @param {object} rule
+ * @param {*} value
+ * @param {string} [path] - Field name of the value, for error messages.
+ * @returns {{ field: string, message: string }[]} Empty when the value is valid.
+ */
+export function validate(rule, value, path = "") {
+  const errors = [];
+  check(rule, value, path, errors);
+  return errors;
+}
+
+function check(rule, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (!rule.optional) errors.push({ field: path, message: "is required" });
+    return;
+  }
+  const fail = (message) =>
+    errors.push({ field: path, message: rule.message || message });
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") return fail("must be a string");
+      const v = rule.normalise ? rule.normalise(value) : value;
+      if (rule.maxLength && v.length > rule.maxLength) {
+        return fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.enum && !rule.enum.includes(v)) {
+        return fail(`must be one of: ${rule.enum.join(", ")}`);
+      }
+      if (rule.pattern && !rule.pattern.test(v)) return fail("is not valid");
+      return;
+    }
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return fail("must be a number");
+      }
+      if (rule.integer && !Number.isInteger(value)) {
+        return fail("must be a whole number");
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return fail(`must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return fail(`must be at most ${rule.max}`);
+      }
+      return;
+
+    case "boolean":
+      if (typeof value !== "boolean") fail("must be true or false");
+      return;
+
+    case "schemeCode":
+      if (
+        !(typeof value === "number" && Number.isInteger(value) && value > 0) &&
+        !(typeof value === "string" && /^\d{1,10}$/.test(value))
+      ) {
+        fail("must be a numeric AMFI scheme code");
+      }
+      return;
+
+    case "date":
+      if (
+        typeof value !== "string" ||
+        !rule.formats.some((f) => DATE_PATTERNS[f].test(value))
+      ) {
+        return fail(`must be a date in ${rule.formats.join(" or ")} format`);
+      }
+      if (!toDate(value)) fail("is not a valid calendar date");
+      return;
+
+    case "array":
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (rule.min !== undefined && value.length < rule.min) {
+        return fail(
+          rule.min === 1
+            ? "must not be empty"
+            : `must have at least ${rule.min} items`,
+        );
+      }
+      if (rule.max !== undefined && value.length > rule.max) {
+        return fail(`must have at most ${rule.max} items`);
+      }
+      value.forEach((item, i) =>
+        check(rule.items, item, join(path, i), errors),
+      );
+      return;
+
+    case "object": {
+      if (!isPlainObject(value)) return fail("must be an object");
+      const before = errors.length;
+      for (const [key, fieldRule] of Object.entries(rule.fields)) {
+        check(fieldRule, value[key], join(path, key), errors);
+      }
+      if (rule.check && errors.length === before) {
+        for (const e of rule.check(value) || []) {
+          errors.push({ field: join(path, e.field), message: e.message });
+        }
+      }
+      return;
+    }
+
+    case "record": {
+      if (!isPlainObject(value)) return fail("must be an object");
+      const entries = Object.entries(value);
+      if (rule.min !== undefined && entries.length < rule.min) {
+        return fail(
+          rule.min === 1
+            ? "must not be empty"
+            : `must have at least ${rule.min} entries`,
+        );
+      }
+      if (rule.max !== undefined && entries.length > rule.max) {
+        return fail(`must have at most ${rule.max} entries`);
+      }
+      for (const [key, item] of entries) {
+        const field = join(path, key);
+        if (rule.key) {
+          const keyErrors = validate(rule.key, key, field);
+          if (keyErrors.length) {
+            errors.push({ field, message: `key ${keyErrors[0].message}` });
+            continue;
+          }
+        }
+        check(rule.values, item, field, errors);
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown validation rule "${rule.type}"`);
+  }
+}
+
+/**
+ * An INVALID_REQUEST error for validation failures: the first one is the message,
+ * and all of them are listed in the response's `errors`.
+ *
+ * @param {{ location: string, field: string, message: string }[]} errors
+ * @returns {AppError}
+ */
+export function invalidRequest(errors) {
+  const [first] = errors;
+  const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : "";
+  return new AppError(
+    "INVALID_REQUEST",
+    `${first.field ? `${first.field} ` : ""}${first.message}${more}`,
+    { errors },
+  );
+}
+
+/**
+ * Express middleware validating `req.params`, `req.query` and `req.body`. Invalid
+ * requests get a 400 INVALID_REQUEST response listing every problem:
+ * `errors: [{ location: "body", field: "navUpdateData.INF179KB1HD7.last_nav_date",
+ * message: "must be a date in DD-MM-YYYY or DD-Mon-YYYY format" }]`.
+ *
+ * @param {object} schemas - { params, query, body }, each an object() rule.
+ */
+export function validateRequest(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    for (const location of ["params", "query", "body"]) {
+      if (!schemas[location]) continue;
+      for (const e of validate(schemas[location], req[location] ?? {})) {
+        errors.push({ location, field: e.field, message: e.message });
+      }
+    }
+    if (errors.length === 0) return next();
+
+    const { status, body } = errorResponse(invalidRequest(errors));
+    res.status(status).json(body);
+  };
+}